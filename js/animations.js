@@ -12,6 +12,11 @@
  * - Parallax effects for depth and visual interest
  * - Hover animations for interactive elements
  * - Typing effects for dynamic text display
+ * - FLIP transitions for reordering many elements (flip())
+ * - Progress bars that fill and count up once they scroll into view
+ *   (observeProgressBars())
+ * - Scroll-linked progress, e.g. the education timeline line filling as the
+ *   visitor reads through it (observeScrollProgress())
  * 
  * PERFORMANCE OPTIMIZATIONS:
  * - Adaptive animation quality based on device capabilities
@@ -40,6 +45,7 @@ class AnimationController {
         this.observers = new Map();
         this.animationQueue = [];
         this.isAnimating = false;
+        this.flipTokens = new WeakMap();
         this.performanceMode = this.detectPerformanceMode();
         this.init();
     }
@@ -223,7 +229,7 @@ class AnimationController {
                 this.animateProgress(element, ratio);
                 break;
             case 'counter':
-                this.animateCounter(element, ratio);
+                this.animateScrollCounter(element, ratio);
                 break;
         }
     }
@@ -244,7 +250,8 @@ class AnimationController {
         element.style.width = `${progress}%`;
     }
 
-    animateCounter(element, ratio) {
+    // Named apart from animateCounter() below, which would otherwise replace it
+    animateScrollCounter(element, ratio) {
         if (ratio > 0.5 && !element.dataset.counted) {
             const target = parseInt(element.dataset.target) || 0;
             const duration = parseInt(element.dataset.duration) || 2000;
@@ -327,33 +334,22 @@ class AnimationController {
     }
 
     // ===== TYPING ANIMATIONS =====
+    // Every [data-typing] element runs on the shared TypingEngine
+    // (js/typing-engine.js); elements that already have an engine, such as
+    // the hero, are left alone
     setupTypingAnimations() {
-        const typingElements = document.querySelectorAll('[data-typing]');
-        
-        typingElements.forEach(element => {
-            const text = element.dataset.typing;
-            const speed = parseInt(element.dataset.typingSpeed) || 100;
-            const delay = parseInt(element.dataset.typingDelay) || 0;
-            
-            setTimeout(() => {
-                this.startTypingAnimation(element, text, speed);
-            }, delay);
-        });
+        if (typeof TypingEngine === 'undefined') return;
+
+        this.typingEngines = Array.from(document.querySelectorAll('[data-typing]'))
+            .map(element => TypingEngine.fromElement(element));
     }
 
     startTypingAnimation(element, text, speed) {
-        let index = 0;
+        const existing = TypingEngine.get(element);
+        if (existing) existing.destroy();
+
         element.textContent = '';
-        
-        const typeChar = () => {
-            if (index < text.length) {
-                element.textContent += text.charAt(index);
-                index++;
-                setTimeout(typeChar, speed);
-            }
-        };
-        
-        typeChar();
+        return new TypingEngine(element, { phrases: [text], typeSpeed: speed, loop: false }).start();
     }
 
     // ===== PARALLAX EFFECTS =====
@@ -543,6 +539,112 @@ class AnimationController {
         });
     }
 
+    // Fills every [data-progress] bar in a group from 0 to its value the first time
+    // the group scrolls into view, staggered within the group. options.counter(bar)
+    // may return an element that counts up to the same value alongside the bar.
+    observeProgressBars(groups, options = {}) {
+        const {
+            stagger = 150,
+            duration = 1500,
+            counter = () => null
+        } = options;
+        const items = Array.from(groups);
+
+        // Reduced motion: the bars keep the final width they were rendered with
+        if (this.performanceMode === 'reduced' || items.length === 0) return;
+
+        items.forEach(group => {
+            group.querySelectorAll('[data-progress]').forEach(bar => {
+                bar.style.width = '0%';
+                const count = counter(bar);
+                if (count) {
+                    count.textContent = '0';
+                }
+            });
+        });
+
+        const fill = group => {
+            group.querySelectorAll('[data-progress]').forEach((bar, index) => {
+                const target = parseFloat(bar.dataset.progress) || 0;
+                const count = counter(bar);
+
+                setTimeout(() => {
+                    bar.style.transitionDuration = `${duration}ms`;
+                    bar.style.width = `${target}%`;
+                    if (count) {
+                        this.animateCounter(count, target, duration);
+                    }
+                }, index * stagger);
+            });
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    observer.unobserve(entry.target);
+                    fill(entry.target);
+                }
+            });
+        }, { threshold: 0.2 });
+
+        items.forEach(group => observer.observe(group));
+        this.observers.set(`progress-bars-${this.observers.size}`, observer);
+    }
+
+    // Calls callback(progress) with how far the visitor has scrolled through an
+    // element: 0 while its top is below options.offset of the viewport height,
+    // 1 once its bottom has passed that line. Scroll listeners only run while the
+    // element is on screen. Returns a function that stops observing.
+    observeScrollProgress(element, callback, options = {}) {
+        const { offset = 0.6 } = options;
+
+        // Reduced motion: show the finished state instead of following the scroll
+        if (this.performanceMode === 'reduced') {
+            callback(1);
+            return () => {};
+        }
+
+        let ticking = false;
+
+        const update = () => {
+            ticking = false;
+            const rect = element.getBoundingClientRect();
+            const line = window.innerHeight * offset;
+            const progress = rect.height > 0 ? (line - rect.top) / rect.height : 0;
+            callback(Math.min(1, Math.max(0, progress)));
+        };
+
+        const requestUpdate = () => {
+            if (!ticking) {
+                ticking = true;
+                requestAnimationFrame(update);
+            }
+        };
+
+        const listen = (active) => {
+            const method = active ? 'addEventListener' : 'removeEventListener';
+            window[method]('scroll', requestUpdate, { passive: true });
+            window[method]('resize', requestUpdate);
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                listen(entry.isIntersecting);
+                // One last update on the way out, so fast scrolls end at 0 or 1
+                update();
+            });
+        });
+
+        observer.observe(element);
+        this.observers.set(`scroll-progress-${this.observers.size}`, observer);
+        update();
+
+        return () => {
+            observer.disconnect();
+            listen(false);
+        };
+    }
+
     morphElement(fromElement, toElement, duration = 500) {
         return new Promise((resolve) => {
             const fromRect = fromElement.getBoundingClientRect();
@@ -550,16 +652,122 @@ class AnimationController {
             
             const deltaX = toRect.left - fromRect.left;
             const deltaY = toRect.top - fromRect.top;
-            const deltaWidth = toRect.width - fromRect.width;
-            const deltaHeight = toRect.height - fromRect.height;
+            const transform = `translate(${deltaX}px, ${deltaY}px) scale(${toRect.width / fromRect.width}, ${toRect.height / fromRect.height})`;
+            
+            fromElement.style.transformOrigin = 'top left';
+            
+            if (this.performanceMode === 'reduced') {
+                fromElement.style.transform = transform;
+                resolve();
+                return;
+            }
             
             fromElement.style.transition = `all ${duration}ms ease-in-out`;
-            fromElement.style.transform = `translate(${deltaX}px, ${deltaY}px) scale(${toRect.width / fromRect.width}, ${toRect.height / fromRect.height})`;
+            fromElement.style.transform = transform;
             
             setTimeout(resolve, duration);
         });
     }
 
+    /**
+     * FLIP (First, Last, Invert, Play) animation for many elements at once.
+     * Records every element's position, runs the DOM change in `mutate`, then
+     * animates each element from its old box to its new one with transforms.
+     * Layout is read for all elements before any style is written, so large
+     * grids only trigger a single reflow per phase.
+     *
+     * Elements that are hidden before or after the change (zero-sized box) are
+     * left to their own enter/leave animations.
+     */
+    flip(elements, mutate, options = {}) {
+        const {
+            duration = this.performanceMode === 'low' ? 300 : 500,
+            easing = 'cubic-bezier(0.2, 0, 0.2, 1)'
+        } = options;
+        const items = Array.from(elements);
+
+        if (this.performanceMode === 'reduced' || items.length === 0) {
+            mutate();
+            return Promise.resolve();
+        }
+
+        // First: current visual boxes (includes any in-flight FLIP transform)
+        const first = items.map(element => element.getBoundingClientRect());
+
+        // Cancel running FLIPs so the final layout is measured untransformed
+        items.forEach(element => {
+            element.style.transition = 'none';
+            element.style.transform = '';
+        });
+
+        mutate();
+
+        // Last: boxes after the DOM change
+        const last = items.map(element => element.getBoundingClientRect());
+
+        const moves = [];
+        items.forEach((element, index) => {
+            const from = first[index];
+            const to = last[index];
+
+            if (!from.width || !from.height || !to.width || !to.height) return;
+
+            const deltaX = from.left - to.left;
+            const deltaY = from.top - to.top;
+            const scaleX = from.width / to.width;
+            const scaleY = from.height / to.height;
+
+            if (Math.abs(deltaX) < 1 && Math.abs(deltaY) < 1 && Math.abs(scaleX - 1) < 0.01 && Math.abs(scaleY - 1) < 0.01) {
+                return;
+            }
+
+            moves.push({ element, transform: `translate(${deltaX}px, ${deltaY}px) scale(${scaleX}, ${scaleY})` });
+        });
+
+        // Elements that stay put drop any cancelled FLIP state
+        const moving = new Set(moves.map(move => move.element));
+        items.forEach(element => {
+            if (moving.has(element)) return;
+            this.flipTokens.delete(element);
+            element.style.removeProperty('transition');
+            element.style.removeProperty('transform-origin');
+        });
+
+        if (moves.length === 0) {
+            return Promise.resolve();
+        }
+
+        // Invert: jump back to the old box without transition
+        moves.forEach(({ element, transform }) => {
+            element.style.transformOrigin = 'top left';
+            element.style.transform = transform;
+            this.flipTokens.set(element, moves);
+        });
+
+        return new Promise((resolve) => {
+            // Play: two frames so the inverted state is painted first
+            requestAnimationFrame(() => {
+                requestAnimationFrame(() => {
+                    moves.forEach(({ element }) => {
+                        element.style.transition = `transform ${duration}ms ${easing}`;
+                        element.style.transform = '';
+                    });
+
+                    setTimeout(() => {
+                        moves.forEach(({ element }) => {
+                            // A newer FLIP owns this element now
+                            if (this.flipTokens.get(element) !== moves) return;
+                            this.flipTokens.delete(element);
+                            element.style.removeProperty('transition');
+                            element.style.removeProperty('transform-origin');
+                        });
+                        resolve();
+                    }, duration);
+                });
+            });
+        });
+    }
+
     createParticleSystem(container, options = {}) {
         const particles = [];
         const particleCount = options.count || 50;
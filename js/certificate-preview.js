@@ -0,0 +1,145 @@
+/**
+ * PORTFOLIO WEBSITE - CERTIFICATE PREVIEW
+ * =======================================
+ *
+ * Shows a certificate inside the page instead of sending the visitor to
+ * another site. Images are shown directly; any other link (a PDF or a
+ * hosted certificate page) is loaded in a sandboxed iframe. Some hosts
+ * refuse to be framed, so the dialog always offers "Open in new tab" and,
+ * when the data has one, the issuer's verification link.
+ *
+ * ACCESSIBILITY:
+ * - role="dialog" with aria-modal, labelled by the certification title
+ * - Focus is trapped inside the dialog while it is open
+ * - Escape closes the dialog and focus returns to the link that opened it
+ * - Body scroll is locked while the dialog is open
+ *
+ * EVENTS:
+ * - 'certificatepreviewopen' / 'certificatepreviewclose' are dispatched on
+ *   document with detail { certificationId }
+ */
+
+class CertificatePreview {
+    constructor(options = {}) {
+        this.modal = options.modal || document.getElementById('certificate-preview');
+        this.current = null;
+        this.previouslyFocused = null;
+
+        if (this.modal) {
+            this.dialog = this.modal.querySelector('.certificate-preview-dialog');
+            this.title = this.modal.querySelector('.certificate-preview-title');
+            this.meta = this.modal.querySelector('.certificate-preview-meta');
+            this.body = this.modal.querySelector('.certificate-preview-body');
+            this.openLink = this.modal.querySelector('.certificate-preview-open');
+            this.verifyLink = this.modal.querySelector('.certificate-preview-verify');
+            this.init();
+        }
+    }
+
+    init() {
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-preview-close]')) {
+                this.close();
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            FocusTrap.handleTab(e, this.dialog);
+        }
+    }
+
+    // ===== OPEN / CLOSE =====
+    isOpen() {
+        return !this.modal.hidden;
+    }
+
+    // certification: a data/certifications.json entry plus issuerName and issuedLabel
+    open(certification, opener = null) {
+        if (!certification || !certification.url) return;
+
+        if (!this.isOpen()) {
+            this.previouslyFocused = opener || document.activeElement;
+            this.modal.hidden = false;
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', this.handleKeydown);
+
+            // Let the browser paint the hidden -> visible change before animating
+            requestAnimationFrame(() => this.modal.classList.add('open'));
+        }
+
+        this.current = certification;
+        this.render(certification);
+        this.dialog.focus();
+
+        document.dispatchEvent(new CustomEvent('certificatepreviewopen', {
+            detail: { certificationId: certification.id }
+        }));
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        const certificationId = this.current ? this.current.id : null;
+
+        this.modal.classList.remove('open');
+        this.modal.hidden = true;
+        document.body.classList.remove('modal-open');
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        // Stop the framed page from loading or playing on in the background
+        this.body.innerHTML = '';
+        this.current = null;
+
+        if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+            this.previouslyFocused.focus();
+        }
+        this.previouslyFocused = null;
+
+        document.dispatchEvent(new CustomEvent('certificatepreviewclose', {
+            detail: { certificationId }
+        }));
+    }
+
+    // ===== RENDERING =====
+    render(certification) {
+        const esc = escapeHTML;
+        const title = certification.title || 'Certificate';
+
+        this.title.textContent = title;
+        this.meta.textContent = [
+            certification.issuerName,
+            certification.issuedLabel ? `Issued ${certification.issuedLabel}` : '',
+            certification.credentialId ? `Credential ID ${certification.credentialId}` : ''
+        ].filter(Boolean).join(' · ');
+
+        this.body.innerHTML = CertificatePreview.isImage(certification.url)
+            ? `<img src="${esc(certification.url)}" alt="${esc(title)} certificate" class="certificate-preview-image">`
+            : `<iframe src="${esc(certification.url)}" title="${esc(title)} certificate" class="certificate-preview-frame"
+                    sandbox="allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox"
+                    referrerpolicy="no-referrer"></iframe>
+               <p class="certificate-preview-note">Nothing showing? Some certificate sites cannot be previewed here - open it in a new tab instead.</p>`;
+
+        this.openLink.href = certification.url;
+        this.verifyLink.hidden = !certification.verifyUrl;
+        if (certification.verifyUrl) {
+            this.verifyLink.href = certification.verifyUrl;
+        } else {
+            this.verifyLink.removeAttribute('href');
+        }
+    }
+
+    // ===== UTILITIES =====
+    static isImage(url) {
+        return /\.(png|jpe?g|gif|webp|avif|svg)([?#]|$)/i.test(String(url || ''));
+    }
+}
+
+// Export for use in other modules
+window.CertificatePreview = CertificatePreview;
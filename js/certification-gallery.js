@@ -0,0 +1,329 @@
+/**
+ * PORTFOLIO WEBSITE - CERTIFICATION GALLERY
+ * =========================================
+ *
+ * Renders the certifications section from data/certifications.json and lets
+ * visitors filter it by issuer and sort it by date.
+ *
+ * DATA (data/certifications.json):
+ * - issuers: { id: { name, url } }
+ * - certifications: [{ id, title, issuer, icon, color, issued, expires,
+ *   credentialId, url, verifyUrl, skills, description }]
+ * - Dates are 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD'; `expires: null` means the
+ *   certification does not expire
+ * - color picks the icon tile colors (blue, green, yellow, purple, red, pink)
+ *
+ * EXPIRY:
+ * - Worked out in the browser from `expires`, so the badges stay correct
+ *   without editing the data: "Expired" once the date has passed and
+ *   "Expires in N days" within options.expiringSoonDays (90)
+ *
+ * FILTERING & SORTING:
+ * - Issuer buttons (aria-pressed) are built from the issuers in use and
+ *   hidden when there is only one; the select sorts newest or oldest first
+ * - Cards are hidden rather than removed, so search results and the CV still
+ *   see every certification; reveal(element) clears the filter around one
+ * - 'certificationsfilter' is dispatched on document with
+ *   detail { issuer, sort, visible }
+ *
+ * PREVIEW:
+ * - "View Certificate" links keep their real href (new tab, middle click),
+ *   but a plain click opens options.preview (a CertificatePreview) instead of
+ *   leaving the site
+ */
+
+class CertificationGallery {
+    constructor(options = {}) {
+        this.grid = options.grid || document.getElementById('certifications-grid');
+        this.filters = options.filters || document.getElementById('certification-filters');
+        this.sortSelect = options.sortSelect || document.getElementById('certification-sort');
+        this.status = options.status || document.getElementById('certification-status');
+        this.preview = options.preview || null;
+        this.data = options.data || { issuers: {}, certifications: [] };
+        this.now = options.now || new Date();
+        this.expiringSoonDays = options.expiringSoonDays || 90;
+
+        this.issuer = 'all';
+        this.sort = this.sortSelect ? this.sortSelect.value : 'newest';
+
+        if (this.grid) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.render();
+        this.renderFilters();
+        this.setupEventListeners();
+        this.apply({ animate: false });
+    }
+
+    // ===== DATA =====
+    getCertifications() {
+        return this.data.certifications || [];
+    }
+
+    getCertification(id) {
+        return this.getCertifications().find(certification => certification.id === id) || null;
+    }
+
+    getIssuer(certification) {
+        const issuer = (this.data.issuers || {})[certification.issuer];
+        return {
+            id: certification.issuer,
+            name: issuer ? issuer.name : certification.issuer,
+            url: issuer ? issuer.url : ''
+        };
+    }
+
+    // Issuers in use, in the order they first appear
+    getIssuers() {
+        const issuers = new Map();
+        this.getCertifications().forEach(certification => {
+            const issuer = this.getIssuer(certification);
+            if (!issuers.has(issuer.id)) {
+                issuers.set(issuer.id, { ...issuer, count: 0 });
+            }
+            issuers.get(issuer.id).count++;
+        });
+        return Array.from(issuers.values());
+    }
+
+    getExpiry(certification) {
+        if (!certification.expires) {
+            return { status: 'none', days: null, label: 'No expiry' };
+        }
+
+        const expires = CertificationGallery.parseDate(certification.expires, 'end');
+        const days = Math.ceil((expires - this.now) / 86400000);
+        const date = CertificationGallery.formatDate(certification.expires);
+
+        if (days < 0) {
+            return { status: 'expired', days, label: `Expired ${date}` };
+        }
+        if (days <= this.expiringSoonDays) {
+            return { status: 'expiring', days, label: days === 1 ? 'Expires in 1 day' : `Expires in ${days} days` };
+        }
+        return { status: 'valid', days, label: `Valid until ${date}` };
+    }
+
+    // ===== RENDERING =====
+    render() {
+        this.grid.innerHTML = this.getCertifications().map(certification => this.renderCard(certification)).join('');
+    }
+
+    renderCard(certification) {
+        const esc = escapeHTML;
+        const issuer = this.getIssuer(certification);
+        const expiry = this.getExpiry(certification);
+        const colors = CertificationGallery.COLORS[certification.color] || CertificationGallery.COLORS.blue;
+        const skills = certification.skills || [];
+
+        const badge = expiry.status === 'expired' || expiry.status === 'expiring'
+            ? `<span class="cert-badge cert-badge-${expiry.status}">${esc(expiry.status === 'expired' ? 'Expired' : expiry.label)}</span>`
+            : '';
+
+        const links = [
+            certification.verifyUrl ? `<a href="${esc(certification.verifyUrl)}" class="cert-verify-link text-sm" target="_blank" rel="noopener noreferrer">Verify</a>` : '',
+            certification.url ? `<a href="${esc(certification.url)}" class="cert-view-link text-blue-600 dark:text-blue-400 hover:underline text-sm" target="_blank" rel="noopener noreferrer" data-cert-preview aria-label="View ${esc(certification.title)} certificate">View Certificate</a>` : ''
+        ].join('');
+
+        return `
+                    <article class="cert-card glass-card p-6 hover:shadow-xl transition-shadow" id="certification-${esc(certification.id)}" data-certification="${esc(certification.id)}" data-issuer="${esc(issuer.id)}" data-issued="${esc(certification.issued)}" data-status="${expiry.status}">
+                        <div class="flex items-center mb-4">
+                            <div class="w-12 h-12 ${colors.tile} rounded-lg flex items-center justify-center mr-4" aria-hidden="true">
+                                <i class="${esc(certification.icon || 'fas fa-certificate')} ${colors.icon} text-xl"></i>
+                            </div>
+                            <div>
+                                <h3 class="cert-title text-lg font-semibold">${esc(certification.title)}</h3>
+                                <p class="cert-issuer text-sm text-gray-600 dark:text-gray-400">${esc(issuer.name)}</p>
+                            </div>
+                        </div>
+                        ${badge}
+                        <p class="cert-description text-gray-600 dark:text-gray-300 mb-4">${esc(certification.description || '')}</p>
+                        ${skills.length > 0 ? `<ul class="cert-skills" aria-label="Skills covered">${skills.map(skill => `<li class="cert-skill">${esc(skill)}</li>`).join('')}</ul>` : ''}
+                        ${certification.credentialId ? `<p class="cert-credential">Credential ID: <code>${esc(certification.credentialId)}</code></p>` : ''}
+                        <div class="cert-footer">
+                            <span class="cert-dates text-sm text-gray-500 dark:text-gray-400">
+                                <span class="cert-issued">Issued: <time datetime="${esc(certification.issued)}">${esc(CertificationGallery.formatDate(certification.issued))}</time></span>${expiry.status === 'valid' ? `
+                                <span class="cert-expires">· ${esc(expiry.label)}</span>` : ''}
+                            </span>
+                            <span class="cert-links">${links}</span>
+                        </div>
+                    </article>`;
+    }
+
+    renderFilters() {
+        if (!this.filters) return;
+
+        const issuers = this.getIssuers();
+        const esc = escapeHTML;
+        const button = (id, label, count) => `
+                        <button type="button" class="cert-filter-btn${id === this.issuer ? ' active' : ''}" data-issuer="${esc(id)}" aria-pressed="${id === this.issuer}">
+                            <span>${esc(label)}</span>
+                            <span class="cert-filter-count">${count}</span>
+                        </button>`;
+
+        this.filters.innerHTML = button('all', 'All', this.getCertifications().length)
+            + issuers.map(issuer => button(issuer.id, issuer.name, issuer.count)).join('');
+
+        // Nothing to choose between with a single issuer
+        this.filters.hidden = issuers.length < 2;
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        if (this.filters) {
+            this.filters.addEventListener('click', (e) => {
+                const button = e.target.closest('.cert-filter-btn');
+                if (button) {
+                    this.setIssuer(button.dataset.issuer);
+                }
+            });
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => this.setSort(this.sortSelect.value));
+        }
+
+        this.grid.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-cert-preview]');
+            if (!link || !this.preview) return;
+
+            // Let modified clicks open a tab as usual
+            if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            const certification = this.getCertification(link.closest('.cert-card').dataset.certification);
+            if (certification) {
+                e.preventDefault();
+                this.openPreview(certification, link);
+            }
+        });
+    }
+
+    openPreview(certification, opener = null) {
+        if (!this.preview) return;
+
+        this.preview.open({
+            ...certification,
+            issuerName: this.getIssuer(certification).name,
+            issuedLabel: CertificationGallery.formatDate(certification.issued),
+            expiry: this.getExpiry(certification)
+        }, opener);
+    }
+
+    // ===== FILTER & SORT =====
+    setIssuer(issuer, options = {}) {
+        this.issuer = issuer || 'all';
+        this.apply(options);
+    }
+
+    setSort(sort, options = {}) {
+        this.sort = CertificationGallery.SORTS.includes(sort) ? sort : 'newest';
+        if (this.sortSelect && this.sortSelect.value !== this.sort) {
+            this.sortSelect.value = this.sort;
+        }
+        this.apply(options);
+    }
+
+    getCards() {
+        return Array.from(this.grid.querySelectorAll('.cert-card'));
+    }
+
+    matches(card) {
+        return this.issuer === 'all' || card.dataset.issuer === this.issuer;
+    }
+
+    apply(options = {}) {
+        const { animate = true } = options;
+        const cards = this.getCards();
+        const order = new Map(this.getCertifications().map((certification, index) => [certification.id, index]));
+        const issued = card => CertificationGallery.parseDate(card.dataset.issued);
+        const direction = this.sort === 'oldest' ? 1 : -1;
+
+        // Ties (e.g. the same year) keep the order of the data file
+        const sorted = [...cards].sort((a, b) =>
+            (issued(a) - issued(b)) * direction || order.get(a.dataset.certification) - order.get(b.dataset.certification));
+
+        const mutate = () => {
+            sorted.forEach(card => this.grid.appendChild(card));
+            cards.forEach(card => {
+                card.hidden = !this.matches(card);
+            });
+        };
+
+        if (animate && window.animationController) {
+            window.animationController.flip(cards, mutate);
+        } else {
+            mutate();
+        }
+
+        this.updateControls(cards.filter(card => !card.hidden).length, cards.length);
+
+        document.dispatchEvent(new CustomEvent('certificationsfilter', {
+            detail: { issuer: this.issuer, sort: this.sort, visible: cards.filter(card => !card.hidden).length }
+        }));
+    }
+
+    updateControls(visible, total) {
+        if (this.filters) {
+            this.filters.querySelectorAll('.cert-filter-btn').forEach(button => {
+                const active = button.dataset.issuer === this.issuer;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+        }
+
+        if (this.status) {
+            this.status.textContent = visible === total
+                ? `Showing all ${total} certifications`
+                : `Showing ${visible} of ${total} certifications`;
+        }
+    }
+
+    // Shows a certification that the issuer filter is hiding (e.g. a search match)
+    reveal(element) {
+        const card = element.closest('.cert-card');
+        if (card && card.hidden && this.grid.contains(card)) {
+            this.setIssuer('all', { animate: false });
+        }
+    }
+
+    // ===== UTILITIES =====
+    // 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD' -> the first (or, for edge 'end', the last) day of that period
+    static parseDate(value, edge = 'start') {
+        const [year, month, day] = String(value || '').split('-').map(Number);
+        if (!year) return new Date(NaN);
+
+        if (edge === 'end') {
+            if (day) return new Date(year, month - 1, day, 23, 59, 59);
+            return month ? new Date(year, month, 0, 23, 59, 59) : new Date(year, 11, 31, 23, 59, 59);
+        }
+        return new Date(year, month ? month - 1 : 0, day || 1);
+    }
+
+    // '2025' -> '2025', '2025-03' -> 'Mar 2025', '2025-03-14' -> 'Mar 14, 2025'
+    static formatDate(value) {
+        const [year, month, day] = String(value || '').split('-').map(Number);
+        if (!year) return '';
+        if (!month) return String(year);
+
+        const options = day ? { month: 'short', day: 'numeric', year: 'numeric' } : { month: 'short', year: 'numeric' };
+        return new Date(year, month - 1, day || 1).toLocaleDateString('en-US', options);
+    }
+}
+
+CertificationGallery.SORTS = ['newest', 'oldest'];
+
+// Complete class names (never assembled from parts) so Tailwind's class scanning finds them
+CertificationGallery.COLORS = {
+    blue: { tile: 'bg-blue-100 dark:bg-blue-900', icon: 'text-blue-600 dark:text-blue-400' },
+    green: { tile: 'bg-green-100 dark:bg-green-900', icon: 'text-green-600 dark:text-green-400' },
+    yellow: { tile: 'bg-yellow-100 dark:bg-yellow-900', icon: 'text-yellow-600 dark:text-yellow-400' },
+    purple: { tile: 'bg-purple-100 dark:bg-purple-900', icon: 'text-purple-600 dark:text-purple-400' },
+    red: { tile: 'bg-red-100 dark:bg-red-900', icon: 'text-red-600 dark:text-red-400' },
+    pink: { tile: 'bg-pink-100 dark:bg-pink-900', icon: 'text-pink-600 dark:text-pink-400' }
+};
+
+// Export for use in other modules
+window.CertificationGallery = CertificationGallery;
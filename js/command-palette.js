@@ -0,0 +1,382 @@
+/**
+ * PORTFOLIO WEBSITE - COMMAND PALETTE
+ * ===================================
+ *
+ * A Ctrl+K (Cmd+K on macOS) palette that fuzzy-searches everything on the
+ * page - sections, projects, skills, certifications - and site actions such
+ * as switching the theme or copying the email address.
+ *
+ * COMMANDS:
+ * - Providers are functions returning command objects
+ *   { id, label, group, description, keywords, icon, suggested, action }
+ * - With an empty query the palette lists the `suggested` commands
+ * - Providers run every time the palette opens, so commands always reflect
+ *   the current page (filters, rendered cards, registered palettes)
+ *
+ * MATCHING:
+ * - fuzzyMatch() accepts a substring, or the query characters in order as
+ *   runs starting at word boundaries ('bsr' finds 'Bus Seats Reservation');
+ *   substrings rank highest, and matched characters are highlighted
+ * - Keywords (technologies, categories) are searched too but weigh less
+ *
+ * ACCESSIBILITY:
+ * - Combobox pattern: the input owns a listbox via aria-controls and
+ *   aria-activedescendant, so focus never leaves the input
+ * - Arrow keys, Page Up/Down and Ctrl+Home/End move the selection; Enter
+ *   runs it; Escape closes
+ * - The number of results is announced through a polite live region
+ * - Focus returns to the previously focused element when the palette closes
+ */
+
+class CommandPalette {
+    constructor(options = {}) {
+        this.container = options.container || document.getElementById('command-palette');
+        this.providers = [];
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = -1;
+        this.previouslyFocused = null;
+        this.maxResults = options.maxResults || 50;
+
+        if (this.container) {
+            this.dialog = this.container.querySelector('.command-palette-dialog');
+            this.input = this.container.querySelector('.command-palette-input');
+            this.listbox = this.container.querySelector('.command-palette-list');
+            this.status = this.container.querySelector('.command-palette-status');
+            this.init();
+        }
+    }
+
+    init() {
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.setupEventListeners();
+    }
+
+    // ===== COMMAND PROVIDERS =====
+    addProvider(provider) {
+        this.providers.push(provider);
+        return () => {
+            this.providers = this.providers.filter(existing => existing !== provider);
+        };
+    }
+
+    collectCommands() {
+        return this.providers.flatMap(provider => {
+            try {
+                return provider() || [];
+            } catch (error) {
+                console.error('Command provider failed:', error);
+                return [];
+            }
+        });
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.search(this.input.value));
+
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.execute(parseInt(option.dataset.index));
+            }
+        });
+
+        this.listbox.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && parseInt(option.dataset.index) !== this.activeIndex) {
+                this.setActive(parseInt(option.dataset.index), { scroll: false });
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-palette-close]')) {
+                this.close();
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.moveActive(1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.moveActive(-1);
+                break;
+            case 'Home':
+                if (this.results.length > 0 && e.ctrlKey) {
+                    e.preventDefault();
+                    this.setActive(0);
+                }
+                break;
+            case 'End':
+                if (this.results.length > 0 && e.ctrlKey) {
+                    e.preventDefault();
+                    this.setActive(this.results.length - 1);
+                }
+                break;
+            case 'PageDown':
+                e.preventDefault();
+                this.moveActive(5, { wrap: false });
+                break;
+            case 'PageUp':
+                e.preventDefault();
+                this.moveActive(-5, { wrap: false });
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.execute(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // The input is the only stop; options are reached with the arrow keys
+                e.preventDefault();
+                break;
+        }
+    }
+
+    // ===== OPEN / CLOSE =====
+    isOpen() {
+        return Boolean(this.container) && !this.container.hidden;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open(query = '') {
+        if (!this.container || this.isOpen()) return;
+
+        this.previouslyFocused = document.activeElement;
+        this.commands = this.collectCommands();
+
+        this.container.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        document.body.classList.add('modal-open');
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.input.value = query;
+        this.search(query);
+        this.input.focus();
+
+        document.dispatchEvent(new CustomEvent('commandpaletteopen'));
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.container.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        document.body.classList.remove('modal-open');
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (restoreFocus && this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+            this.previouslyFocused.focus();
+        }
+        this.previouslyFocused = null;
+
+        document.dispatchEvent(new CustomEvent('commandpaletteclose'));
+    }
+
+    // ===== SEARCH =====
+    search(query) {
+        const trimmed = query.trim();
+
+        if (!trimmed) {
+            // Without a query, list the commands marked `suggested` in provider order
+            this.results = this.commands
+                .filter(command => command.suggested)
+                .map(command => ({ command, score: 0, indices: [] }));
+        } else {
+            const matches = this.commands
+                .map(command => this.matchCommand(trimmed, command))
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.maxResults);
+
+            // Keep groups together, ordered by their best match
+            const groups = [...new Set(matches.map(match => match.command.group))];
+            this.results = groups.flatMap(group => matches.filter(match => match.command.group === group));
+        }
+
+        this.render();
+        this.setActive(this.results.length > 0 ? 0 : -1);
+        this.announce(trimmed);
+    }
+
+    matchCommand(query, command) {
+        const labelMatch = CommandPalette.fuzzyMatch(query, command.label);
+        const keywordMatch = CommandPalette.fuzzyMatch(query, [command.group, command.description, ...(command.keywords || [])].filter(Boolean).join(' '));
+
+        if (!labelMatch && !keywordMatch) return null;
+
+        const labelScore = labelMatch ? labelMatch.score : 0;
+        const keywordScore = keywordMatch ? keywordMatch.score * 0.5 : 0;
+
+        return {
+            command,
+            score: Math.max(labelScore, keywordScore),
+            indices: labelMatch ? labelMatch.indices : []
+        };
+    }
+
+    // Returns { score, indices } when every query character appears in order, otherwise null
+    static fuzzyMatch(query, text) {
+        if (!text) return null;
+
+        const needle = query.toLowerCase().replace(/\s+/g, ' ');
+        const haystack = text.toLowerCase();
+
+        // A contiguous match beats any scattered one
+        const position = haystack.indexOf(needle);
+        if (position !== -1) {
+            const wordStart = position === 0 || /[\s\-_/(]/.test(haystack[position - 1]);
+            return {
+                score: 100 + needle.length * 2 + (wordStart ? 20 : 0) - position * 0.1,
+                indices: Array.from({ length: needle.length }, (_, offset) => position + offset)
+            };
+        }
+
+        // Otherwise each character must continue the previous match or start a word,
+        // so 'bsr' finds 'Bus Seats Reservation' but not letters scattered mid-word
+        const isWordStart = index => index === 0 || /[\s\-_/(]/.test(haystack[index - 1]);
+        const indices = [];
+        let score = 0;
+
+        for (const char of needle.replace(/ /g, '')) {
+            const previous = indices[indices.length - 1];
+            let index = previous === undefined ? -1 : previous;
+
+            do {
+                index = haystack.indexOf(char, index + 1);
+            } while (index !== -1 && !(index === previous + 1 || isWordStart(index)));
+
+            if (index === -1) return null;
+
+            score += index === previous + 1 ? 5 : 8;
+            indices.push(index);
+        }
+
+        // Prefer matches packed into a short stretch of the text
+        return { score: score - (indices[indices.length - 1] - indices[0]) * 0.2, indices };
+    }
+
+    // ===== RENDERING =====
+    render() {
+        let currentGroup = null;
+
+        this.listbox.innerHTML = this.results.map((result, index) => {
+            const { command } = result;
+            const heading = command.group !== currentGroup
+                ? `<li class="command-palette-group" role="presentation">${escapeHTML(command.group)}</li>`
+                : '';
+            currentGroup = command.group;
+
+            return `${heading}
+                <li id="command-option-${index}" class="command-palette-option" role="option" aria-selected="false" data-index="${index}">
+                    <i class="${escapeHTML(command.icon || 'fas fa-arrow-right')} command-palette-icon" aria-hidden="true"></i>
+                    <span class="command-palette-text">
+                        <span class="command-palette-label">${this.highlight(command.label, result.indices)}</span>
+                        ${command.description ? `<span class="command-palette-description">${escapeHTML(command.description)}</span>` : ''}
+                    </span>
+                    <span class="sr-only">, ${escapeHTML(command.group)}</span>
+                </li>`;
+        }).join('');
+
+        if (this.results.length === 0) {
+            this.listbox.innerHTML = '<li class="command-palette-empty" role="presentation">No matches</li>';
+        }
+    }
+
+    highlight(text, indices) {
+        if (!indices || indices.length === 0) return escapeHTML(text);
+
+        // Indices are UTF-16 offsets, as indexOf returns them; walk whole code
+        // points so a surrogate pair is never split, but count offsets in units
+        const marked = new Set(indices);
+        let html = '';
+        let open = false;
+        let offset = 0;
+
+        Array.from(text).forEach(char => {
+            if (marked.has(offset) && !open) {
+                html += '<mark>';
+                open = true;
+            } else if (!marked.has(offset) && open) {
+                html += '</mark>';
+                open = false;
+            }
+            html += escapeHTML(char);
+            offset += char.length;
+        });
+
+        return open ? `${html}</mark>` : html;
+    }
+
+    moveActive(step, { wrap = true } = {}) {
+        const count = this.results.length;
+        if (count === 0) return;
+
+        let next = this.activeIndex + step;
+        next = wrap ? (next + count) % count : Math.min(count - 1, Math.max(0, next));
+        this.setActive(next);
+    }
+
+    setActive(index, { scroll = true } = {}) {
+        const previous = this.listbox.querySelector('[aria-selected="true"]');
+        if (previous) {
+            previous.setAttribute('aria-selected', 'false');
+        }
+
+        this.activeIndex = index;
+        const option = index >= 0 ? this.listbox.querySelector(`#command-option-${index}`) : null;
+
+        if (option) {
+            option.setAttribute('aria-selected', 'true');
+            this.input.setAttribute('aria-activedescendant', option.id);
+            if (scroll) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    announce(query) {
+        if (!this.status) return;
+
+        const count = this.results.length;
+        this.status.textContent = query
+            ? `${count} ${count === 1 ? 'result' : 'results'}`
+            : `${count} suggestions. Type to search.`;
+    }
+
+    // ===== EXECUTION =====
+    execute(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        // Restore focus first so commands that move focus (sections, forms) win
+        this.close();
+
+        try {
+            result.command.action();
+        } catch (error) {
+            console.error(`Command "${result.command.id}" failed:`, error);
+        }
+    }
+}
+
+// Export for use in other modules
+window.CommandPalette = CommandPalette;
@@ -0,0 +1,259 @@
+/**
+ * PORTFOLIO WEBSITE - CONTACT SERVICE
+ * ===================================
+ *
+ * This file implements the delivery pipeline for the contact form.
+ * PortfolioApp validates the form and hands the data to ContactService,
+ * which sends it through a configurable transport.
+ *
+ * TRANSPORTS:
+ * - json:   POST application/json to a custom endpoint
+ * - form:   POST application/x-www-form-urlencoded (Formspree, Getform, Netlify...)
+ * - mailto: Compose an email in the visitor's mail client (no backend needed)
+ * - Additional transports can be added with registerTransport()
+ *
+ * CONFIGURATION (data attributes on the <form>):
+ * - data-transport:  primary transport name (default: json)
+ * - data-endpoint:   URL for the json/form transports (falls back to the form action)
+ * - data-fallback:   transport used when the primary one is unavailable or fails
+ * - data-mailto:     recipient address for the mailto transport
+ * - data-timeout:    request timeout in milliseconds (default: 10000)
+ * - data-retries:    retry attempts for transient failures (default: 2)
+ *
+ * ERROR HANDLING:
+ * - HTTP statuses are mapped to visitor-friendly messages (ContactError.userMessage)
+ * - Timeouts, network failures, 429 and 5xx responses are retried with backoff
+ * - Validation (4xx) errors are never retried
+ * - Network failures (the request never reached the server) are flagged with
+ *   ContactError.network; send(data, { onNetworkError }) lets the caller
+ *   handle them (e.g. queue the message) instead of using the fallback
+ *
+ * LOCAL TESTING:
+ * - Run `node scripts/mock-contact-endpoint.js` and point data-endpoint at it
+ */
+
+class ContactError extends Error {
+    constructor(message, { status = 0, retryable = false, network = false, userMessage } = {}) {
+        super(message);
+        this.name = 'ContactError';
+        this.status = status;
+        this.retryable = retryable;
+        this.network = network;
+        this.userMessage = userMessage || 'Your message could not be sent. Please try again later.';
+    }
+}
+
+class ContactService {
+    constructor(options = {}) {
+        this.options = {
+            transport: 'json',
+            endpoint: '',
+            fallback: null,
+            mailto: '',
+            timeout: 10000,
+            retries: 2,
+            retryDelay: 1000,
+            ...options
+        };
+        this.transports = new Map();
+        this.registerDefaultTransports();
+    }
+
+    static fromForm(form) {
+        const { dataset } = form;
+        const action = form.getAttribute('action');
+
+        return new ContactService({
+            transport: dataset.transport || 'json',
+            endpoint: dataset.endpoint || (action && action !== '#' ? action : ''),
+            fallback: dataset.fallback || null,
+            mailto: dataset.mailto || '',
+            timeout: parseInt(dataset.timeout) || 10000,
+            retries: dataset.retries !== undefined ? parseInt(dataset.retries) : 2
+        });
+    }
+
+    // ===== TRANSPORT REGISTRY =====
+    registerDefaultTransports() {
+        this.registerTransport('json', {
+            isAvailable: () => Boolean(this.options.endpoint),
+            send: (data) => this.postJSON(data)
+        });
+
+        this.registerTransport('form', {
+            isAvailable: () => Boolean(this.options.endpoint),
+            send: (data) => this.postForm(data)
+        });
+
+        this.registerTransport('mailto', {
+            isAvailable: () => Boolean(this.options.mailto),
+            send: (data) => this.composeMail(data)
+        });
+    }
+
+    registerTransport(name, transport) {
+        if (typeof transport.send !== 'function') {
+            throw new TypeError(`Transport "${name}" must implement send(data)`);
+        }
+        this.transports.set(name, {
+            isAvailable: () => true,
+            ...transport
+        });
+    }
+
+    getTransport(name) {
+        const transport = this.transports.get(name);
+        return transport && transport.isAvailable() ? transport : null;
+    }
+
+    // ===== SENDING =====
+    send(data, { onNetworkError = null } = {}) {
+        const primary = this.getTransport(this.options.transport);
+        const fallback = this.options.fallback ? this.getTransport(this.options.fallback) : null;
+
+        if (!primary) {
+            if (fallback) {
+                return fallback.send(data);
+            }
+            return Promise.reject(new ContactError(`Transport "${this.options.transport}" is not configured`, {
+                userMessage: 'The contact form is not available right now. Please email me directly.'
+            }));
+        }
+
+        return this.withRetry(() => primary.send(data)).catch(error => {
+            if (error.network && onNetworkError) {
+                return onNetworkError(error);
+            }
+            // Only fall back when the problem is on our side, not the visitor's input
+            if (fallback && fallback !== primary && error.retryable) {
+                console.warn('Contact transport failed, using fallback:', error);
+                return fallback.send(data);
+            }
+            throw error;
+        });
+    }
+
+    withRetry(operation) {
+        const { retries, retryDelay } = this.options;
+
+        const attempt = (attemptNumber) => operation().catch(error => {
+            if (!error.retryable || attemptNumber >= retries) {
+                throw error;
+            }
+            const delay = retryDelay * Math.pow(2, attemptNumber);
+            return new Promise(resolve => setTimeout(resolve, delay))
+                .then(() => attempt(attemptNumber + 1));
+        });
+
+        return attempt(0);
+    }
+
+    // ===== HTTP TRANSPORTS =====
+    postJSON(data) {
+        return this.request(this.buildRequest(data, 'json'));
+    }
+
+    postForm(data) {
+        return this.request(this.buildRequest(data, 'form'));
+    }
+
+    buildRequest(data, transport = this.options.transport) {
+        const isJSON = transport === 'json';
+
+        return {
+            url: this.options.endpoint,
+            method: 'POST',
+            headers: {
+                'Content-Type': isJSON ? 'application/json' : 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            },
+            body: isJSON ? JSON.stringify(data) : new URLSearchParams(data).toString()
+        };
+    }
+
+    // Only HTTP transports can be replayed later by the service worker
+    canQueue() {
+        const { transport } = this.options;
+        return (transport === 'json' || transport === 'form') && Boolean(this.getTransport(transport));
+    }
+
+    request({ url, method, headers, body }) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+
+        return fetch(url, {
+            method,
+            headers,
+            body,
+            signal: controller ? controller.signal : undefined
+        })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    throw new ContactError('Request timed out', {
+                        retryable: true,
+                        userMessage: 'The server took too long to respond. Please try again.'
+                    });
+                }
+                throw new ContactError(error.message, {
+                    retryable: true,
+                    network: true,
+                    userMessage: 'Could not reach the server. Please check your connection and try again.'
+                });
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw this.mapHttpError(response.status);
+                }
+                return { delivered: true, method: 'http', status: response.status };
+            })
+            .finally(() => {
+                if (timeoutId) clearTimeout(timeoutId);
+            });
+    }
+
+    mapHttpError(status) {
+        if (status === 400 || status === 422) {
+            return new ContactError(`HTTP ${status}`, {
+                status,
+                userMessage: 'Some of the details look invalid. Please check the form and try again.'
+            });
+        }
+        if (status === 403) {
+            return new ContactError(`HTTP ${status}`, {
+                status,
+                userMessage: 'Your message was rejected. Please email me directly instead.'
+            });
+        }
+        if (status === 429) {
+            return new ContactError(`HTTP ${status}`, {
+                status,
+                retryable: true,
+                userMessage: 'Too many messages were sent. Please wait a moment and try again.'
+            });
+        }
+        if (status >= 500) {
+            return new ContactError(`HTTP ${status}`, {
+                status,
+                retryable: true,
+                userMessage: 'The server ran into a problem. Please try again later.'
+            });
+        }
+        return new ContactError(`HTTP ${status}`, { status });
+    }
+
+    // ===== MAILTO TRANSPORT =====
+    composeMail(data) {
+        const body = `${data.message}\n\n— ${data.name} (${data.email})`;
+        const url = `mailto:${this.options.mailto}` +
+            `?subject=${encodeURIComponent(data.subject || '')}` +
+            `&body=${encodeURIComponent(body)}`;
+
+        window.location.href = url;
+
+        return Promise.resolve({ delivered: false, method: 'mailto' });
+    }
+}
+
+// Export for use in other modules
+window.ContactService = ContactService;
+window.ContactError = ContactError;
@@ -0,0 +1,197 @@
+/**
+ * PORTFOLIO WEBSITE - CONTRAST AUDIT
+ * ==================================
+ *
+ * Checks that the colors ThemeManager applies are readable together, using
+ * the WCAG 2.x contrast ratio from PaletteRegistry.
+ *
+ * WHAT IS CHECKED:
+ * - Text: every --text-* variable on every --bg-* variable at 4.5:1
+ *   (WCAG 1.4.3, AA normal text)
+ * - Components: the inline colors set by updateProgressBars() (on the
+ *   --bg-tertiary bar track) and updateSkillIcons() (on the page) at 3:1
+ *   (WCAG 1.4.11, non-text contrast)
+ * - Colors that are not plain hex (rgba glass effects) are skipped
+ *
+ * WHERE IT RUNS:
+ * - Node: scripts/audit-contrast.js audits every registered palette
+ *   straight from js/theme-palettes.js, no browser needed
+ * - Browser: add ?audit=contrast to the URL (or set localStorage
+ *   'contrast-audit' to 'on') to audit the live page after every theme
+ *   change; failures are logged with console.table and listed in an overlay
+ */
+
+class ContrastAuditor {
+    constructor(registry = new PaletteRegistry()) {
+        this.registry = registry;
+        this.overlay = null;
+    }
+
+    // ===== AUDITING =====
+    // `colors` maps CSS variables to values; `components` holds the inline colors
+    auditColors(label, colors, components = {}) {
+        return ContrastAuditor.PAIRS.map(pair => {
+            const foreground = pair.component ? components[pair.component] : colors[pair.foreground];
+            const background = colors[pair.background];
+            return this.check(label, pair, foreground, background);
+        }).filter(Boolean);
+    }
+
+    check(palette, pair, foreground, background) {
+        const fg = PaletteRegistry.normalizeHex(foreground);
+        const bg = PaletteRegistry.normalizeHex(background);
+        if (!fg || !bg) return null;
+
+        const ratio = PaletteRegistry.contrastRatio(fg, bg);
+        return {
+            palette,
+            kind: pair.kind,
+            foreground: pair.component || pair.foreground,
+            background: pair.background,
+            colors: `${fg} on ${bg}`,
+            ratio: Math.round(ratio * 100) / 100,
+            required: pair.minRatio,
+            pass: ratio >= pair.minRatio
+        };
+    }
+
+    auditPalette(id, accent = null) {
+        const resolved = this.registry.resolve(id, accent);
+        const label = accent ? `${resolved.id} (${resolved.accent})` : resolved.id;
+        return this.auditColors(label, resolved.variables, resolved.components);
+    }
+
+    auditAll(accents = [null]) {
+        return this.registry.list().flatMap(palette =>
+            accents.flatMap(accent => this.auditPalette(palette.id, accent))
+        );
+    }
+
+    // Audits what is actually painted: computed variables and inline component colors
+    auditDocument(root = document.documentElement) {
+        const style = getComputedStyle(root);
+        const colors = {};
+        ContrastAuditor.PAIRS.forEach(pair => {
+            [pair.foreground, pair.background].forEach(property => {
+                if (property && !(property in colors)) {
+                    colors[property] = style.getPropertyValue(property).trim();
+                }
+            });
+        });
+
+        const bar = document.querySelector('.skill-progress');
+        const icon = document.querySelector('.skill-icon i');
+        const components = {
+            progress: bar ? ContrastAuditor.toHex(bar.style.backgroundColor) : null,
+            icon: icon ? ContrastAuditor.toHex(icon.style.color) : null
+        };
+
+        return this.auditColors(root.dataset.palette || 'page', colors, components);
+    }
+
+    // ===== REPORTING =====
+    report(results, { all = false } = {}) {
+        const failures = results.filter(result => !result.pass);
+        const rows = (all ? results : failures).map(({ palette, foreground, background, colors, ratio, required, pass }) =>
+            ({ palette, foreground, background, colors, ratio, required, pass })
+        );
+
+        if (rows.length > 0) {
+            console.table(rows);
+        }
+        console.log(`Contrast audit: ${results.length - failures.length}/${results.length} pairs pass`);
+        return failures;
+    }
+
+    showOverlay(results) {
+        const failures = results.filter(result => !result.pass);
+
+        if (!this.overlay) {
+            this.overlay = document.createElement('aside');
+            this.overlay.className = 'contrast-audit-overlay';
+            this.overlay.setAttribute('aria-label', 'Contrast audit');
+            document.body.appendChild(this.overlay);
+        }
+
+        this.overlay.innerHTML = `
+            <div class="contrast-audit-header">
+                <strong>Contrast audit</strong>
+                <span>${results.length - failures.length}/${results.length} pass</span>
+                <button type="button" class="contrast-audit-close" aria-label="Close contrast audit">&times;</button>
+            </div>
+            <ul class="contrast-audit-list">
+                ${failures.map(result => `
+                    <li>
+                        <code>${result.foreground}</code> on <code>${result.background}</code>
+                        <span class="contrast-audit-ratio">${result.ratio}:1 &lt; ${result.required}:1</span>
+                    </li>
+                `).join('') || '<li>No failures</li>'}
+            </ul>
+        `;
+
+        this.overlay.querySelector('.contrast-audit-close').addEventListener('click', () => this.hideOverlay());
+    }
+
+    hideOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    // Re-audit the live page whenever the theme changes
+    watch() {
+        const run = () => {
+            const results = this.auditDocument();
+            this.report(results);
+            this.showOverlay(results);
+        };
+
+        document.addEventListener('themechange', run);
+        run();
+    }
+
+    static isEnabled() {
+        try {
+            return new URLSearchParams(window.location.search).get('audit') === 'contrast' ||
+                localStorage.getItem('contrast-audit') === 'on';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ===== HELPERS =====
+    static toHex(color) {
+        const match = (color || '').match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/);
+        if (!match) return PaletteRegistry.normalizeHex(color);
+        if (match[4] !== undefined && Number(match[4]) < 1) return null;
+        return PaletteRegistry.rgbToHex(match.slice(1, 4).map(Number));
+    }
+}
+
+// ===== CHECKED PAIRS =====
+ContrastAuditor.PAIRS = (() => {
+    const backgrounds = ['--bg-primary', '--bg-secondary', '--bg-tertiary'];
+    const text = ['--text-primary', '--text-secondary', '--text-tertiary'];
+
+    return [
+        ...text.flatMap(foreground => backgrounds.map(background => ({
+            kind: 'text', foreground, background, minRatio: 4.5
+        }))),
+        { kind: 'non-text', component: 'progress', background: '--bg-tertiary', minRatio: 3 },
+        { kind: 'non-text', component: 'icon', background: '--bg-primary', minRatio: 3 }
+    ];
+})();
+
+// Export for use in other modules
+self.ContrastAuditor = ContrastAuditor;
+
+// ===== DEV OVERLAY =====
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!ContrastAuditor.isEnabled() || !window.themeManager) return;
+
+        window.contrastAuditor = new ContrastAuditor(window.themeManager.palettes);
+        window.contrastAuditor.watch();
+    });
+}
@@ -0,0 +1,264 @@
+/**
+ * PORTFOLIO WEBSITE - CV BUILDER
+ * ==============================
+ *
+ * Builds a résumé from what the portfolio already shows, so the CV
+ * can never drift from the site:
+ * - Name and headline from the hero and About sections
+ * - Summary from the About description
+ * - Contact details from the contact cards (plus footer profiles such as LinkedIn)
+ * - Skills from the rendered skill categories and soft skills
+ * - Education, certifications and projects from their sections
+ *
+ * OUTPUT:
+ * - print(): prints the CV instead of the page. Any print (Ctrl+P too) goes
+ *   through 'beforeprint', which renders the CV into #cv-print; css/cv.css
+ *   hides everything else on paper
+ * - download(): saves a standalone HTML file with css/cv.css inlined
+ *
+ * collect() returns the plain CV model, render() turns it into markup; both
+ * can be used on their own (e.g. to preview the CV).
+ */
+
+class CvBuilder {
+    constructor(options = {}) {
+        // The production build fingerprints css/cv.css, so follow the page's link
+        const link = document.getElementById('cv-stylesheet');
+        this.stylesheet = options.stylesheet || (link && link.getAttribute('href')) || 'css/cv.css';
+        this.root = options.root || document;
+        this.printContainer = null;
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('beforeprint', () => this.preparePrint());
+        window.addEventListener('afterprint', () => this.cleanupPrint());
+    }
+
+    // ===== COLLECTING CONTENT =====
+    collect() {
+        const root = this.root;
+        const text = CvBuilder.text;
+
+        return {
+            name: text(root.querySelector('#hero-title')),
+            headline: text(root.querySelector('#about .section-title-subtitle')),
+            summary: Array.from(root.querySelectorAll('#about .about-description')).map(text).filter(Boolean),
+            contact: this.collectContact(),
+            skills: Array.from(root.querySelectorAll('#skills .skill-category')).map(category => ({
+                category: text(category.querySelector('h3')),
+                items: Array.from(category.querySelectorAll('.skill-item')).map(item => ({
+                    name: text(item.querySelector('.skill-name')),
+                    level: text(item.querySelector('.skill-percentage'))
+                }))
+            })),
+            softSkills: Array.from(root.querySelectorAll('#skills .soft-skill-name')).map(text),
+            education: Array.from(root.querySelectorAll('#education .education-card')).map(card => ({
+                title: text(card.querySelector('h3')),
+                institution: text(card.querySelector('.institution')),
+                period: text(card.querySelector('.period')),
+                description: text(card.querySelector('.education-description'))
+            })),
+            certifications: Array.from(root.querySelectorAll('#certifications .cert-card')).map(card => {
+                const link = card.querySelector('.cert-verify-link') || card.querySelector('.cert-view-link');
+                return {
+                    title: text(card.querySelector('.cert-title')),
+                    issuer: text(card.querySelector('.cert-issuer')),
+                    issued: text(card.querySelector('.cert-issued time')),
+                    url: link ? link.href : ''
+                };
+            }),
+            projects: this.collectProjects()
+        };
+    }
+
+    collectContact() {
+        const text = CvBuilder.text;
+        const contact = Array.from(this.root.querySelectorAll('.contact-card[data-contact]')).map(card => ({
+            type: card.dataset.contact,
+            label: text(card.querySelector('h4')),
+            value: text(card.querySelector('p')),
+            href: card.getAttribute('href')
+        }));
+
+        // Profiles that only appear in the footer
+        const known = new Set(contact.map(item => item.href));
+        this.root.querySelectorAll('.footer-social-link[href^="http"]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (known.has(href)) return;
+
+            contact.push({
+                type: 'profile',
+                label: (link.getAttribute('aria-label') || '').replace(/\s*Profile$/, ''),
+                value: href.replace(/^https?:\/\/(www\.)?/, '').replace(/[?#].*$/, '').replace(/\/$/, ''),
+                href
+            });
+        });
+
+        return contact;
+    }
+
+    // Every project, newest first, regardless of the current filters
+    collectProjects() {
+        const text = CvBuilder.text;
+
+        return Array.from(this.root.querySelectorAll('#projects-grid .project-card'))
+            .map(card => ({
+                title: text(card.querySelector('.project-title')),
+                category: text(card.querySelector('.badge-text')),
+                date: card.dataset.date || '',
+                description: text(card.querySelector('.project-description')),
+                technologies: Array.from(card.querySelectorAll('.tech-tag')).map(text)
+            }))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    // ===== RENDERING =====
+    render(cv = this.collect()) {
+        const esc = escapeHTML;
+        const section = (title, body) => body ? `
+            <section class="cv-section">
+                <h2 class="cv-section-title">${esc(title)}</h2>
+                ${body}
+            </section>` : '';
+
+        const contact = cv.contact.map(item => `
+                <li><span class="cv-contact-label">${esc(item.label)}:</span> ${item.href && !item.href.startsWith('#')
+                    ? `<a href="${esc(item.href)}">${esc(item.value)}</a>`
+                    : esc(item.value)}</li>`).join('');
+
+        const skills = cv.skills.length === 0 ? '' : `
+                <dl class="cv-skills">${cv.skills.map(group => `
+                    <dt>${esc(group.category)}</dt>
+                    <dd>${group.items.map(item => `${esc(item.name)}${item.level ? ` <span class="cv-muted">(${esc(item.level)})</span>` : ''}`).join(', ')}</dd>`).join('')}
+                    ${cv.softSkills.length > 0 ? `<dt>Soft Skills</dt><dd>${cv.softSkills.map(esc).join(', ')}</dd>` : ''}
+                </dl>`;
+
+        const education = cv.education.map(entry => `
+                <div class="cv-entry">
+                    <div class="cv-entry-header">
+                        <h3>${esc(entry.title)}</h3>
+                        <span class="cv-muted">${esc(entry.period)}</span>
+                    </div>
+                    <p class="cv-entry-subtitle">${esc(entry.institution)}</p>
+                    ${entry.description ? `<p>${esc(entry.description)}</p>` : ''}
+                </div>`).join('');
+
+        const projects = cv.projects.map(project => `
+                <div class="cv-entry">
+                    <div class="cv-entry-header">
+                        <h3>${esc(project.title)}</h3>
+                        <span class="cv-muted">${esc(CvBuilder.formatMonth(project.date))}</span>
+                    </div>
+                    <p>${esc(project.description)}</p>
+                    <p class="cv-muted">${[project.category, project.technologies.join(', ')].filter(Boolean).map(esc).join(' · ')}</p>
+                </div>`).join('');
+
+        const certifications = cv.certifications.length === 0 ? '' : `
+                <ul class="cv-list">${cv.certifications.map(cert => `
+                    <li>${cert.url ? `<a href="${esc(cert.url)}">${esc(cert.title)}</a>` : esc(cert.title)}
+                        <span class="cv-muted">${[cert.issuer, cert.issued].filter(Boolean).map(esc).join(', ')}</span></li>`).join('')}
+                </ul>`;
+
+        return `
+        <article class="cv">
+            <header class="cv-header">
+                <h1 class="cv-name">${esc(cv.name)}</h1>
+                ${cv.headline ? `<p class="cv-headline">${esc(cv.headline)}</p>` : ''}
+                <ul class="cv-contact">${contact}
+                </ul>
+            </header>
+            ${section('Profile', cv.summary.map(paragraph => `<p>${esc(paragraph)}</p>`).join(''))}
+            ${section('Skills', skills)}
+            ${section('Education', education)}
+            ${section('Projects', projects)}
+            ${section('Certifications', certifications)}
+        </article>`;
+    }
+
+    toDocument(css = '', cv = this.collect()) {
+        const esc = escapeHTML;
+
+        return `<!DOCTYPE html>
+<html lang="${esc(document.documentElement.lang || 'en')}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${esc(cv.name)} - CV</title>
+    <style>${css}</style>
+</head>
+<body class="cv-document">${this.render(cv)}
+</body>
+</html>
+`;
+    }
+
+    // ===== PRINT =====
+    print() {
+        window.print();
+    }
+
+    preparePrint() {
+        if (!this.printContainer) {
+            this.printContainer = document.createElement('div');
+            this.printContainer.id = 'cv-print';
+            this.printContainer.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.printContainer);
+        }
+
+        this.printContainer.innerHTML = this.render();
+        document.body.classList.add('cv-printing');
+    }
+
+    cleanupPrint() {
+        document.body.classList.remove('cv-printing');
+        if (this.printContainer) {
+            this.printContainer.innerHTML = '';
+        }
+    }
+
+    // ===== DOWNLOAD =====
+    download() {
+        const cv = this.collect();
+
+        return fetch(this.stylesheet)
+            .then(response => (response.ok ? response.text() : ''))
+            .catch(() => '')
+            .then(css => {
+                const blob = new Blob([this.toDocument(css, cv)], { type: 'text/html' });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+
+                link.href = url;
+                link.download = `${CvBuilder.slug(cv.name || 'portfolio')}-cv.html`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                return link.download;
+            });
+    }
+
+    // ===== UTILITIES =====
+    static text(element) {
+        return element ? element.textContent.trim().replace(/\s+/g, ' ') : '';
+    }
+
+    // '2024-04' -> 'Apr 2024'
+    static formatMonth(value) {
+        const [year, month] = String(value || '').split('-').map(Number);
+        if (!year) return '';
+        if (!month) return String(year);
+
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    static slug(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+}
+
+// Export for use in other modules
+window.CvBuilder = CvBuilder;
@@ -0,0 +1,248 @@
+/**
+ * PORTFOLIO WEBSITE - EDUCATION TIMELINE
+ * ======================================
+ *
+ * Renders the education section from data/education.json. Entries are data -
+ * degree, institution, dates, modules and grades - so the period label and
+ * the progress of a degree are always worked out from the same dates.
+ *
+ * DATA (data/education.json):
+ * - education: [{ id, degree, institution, icon, start, end, expectedEnd?,
+ *   description, grade?, modules?: [{ name, grade? }] }]
+ * - Dates are 'YYYY' or 'YYYY-MM'; `end: null` means the entry is in
+ *   progress ("2025 - Present") and `expectedEnd` gives its planned finish
+ *
+ * PROGRESS:
+ * - Each card's .progress-indicator is a progressbar: completed entries are
+ *   full, in-progress ones show the share of time elapsed between start and
+ *   expectedEnd (capped at 99% until the end date is filled in)
+ * - The bars fill the first time each card scrolls into view
+ *   (AnimationController.observeProgressBars)
+ *
+ * MODULES:
+ * - Entries with modules get a toggle button (aria-expanded) that shows or
+ *   hides the module list; reveal(element) opens the list around an element,
+ *   e.g. a site search match
+ *
+ * TIMELINE LINE:
+ * - The line fills as the visitor scrolls through the timeline
+ *   (AnimationController.observeScrollProgress) and each item is marked
+ *   'is-reached' once the fill passes its dot. Without the controller, or
+ *   with reduced motion, the line is simply shown complete.
+ */
+
+class EducationTimeline {
+    constructor(options = {}) {
+        this.container = options.container || document.getElementById('education-list');
+        this.timeline = options.timeline || (this.container && this.container.closest('.education-timeline'));
+        this.data = options.data || { education: [] };
+        this.now = options.now || new Date();
+        this.stopScrollProgress = null;
+
+        if (this.container) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.render();
+        this.setupEventListeners();
+        this.animate();
+    }
+
+    // ===== DATA =====
+    // Most recent first; entries in progress sort by their start date
+    getEntries() {
+        return [...(this.data.education || [])].sort((a, b) =>
+            EducationTimeline.parseDate(b.start) - EducationTimeline.parseDate(a.start));
+    }
+
+    getEntry(id) {
+        return (this.data.education || []).find(entry => entry.id === id) || null;
+    }
+
+    getProgress(entry) {
+        const start = EducationTimeline.parseDate(entry.start);
+
+        if (entry.end) {
+            return { status: 'completed', value: 100, label: 'Completed' };
+        }
+        if (start > this.now) {
+            return { status: 'upcoming', value: 0, label: 'Not started yet' };
+        }
+        if (!entry.expectedEnd) {
+            return { status: 'in-progress', value: null, label: 'In progress' };
+        }
+
+        const end = EducationTimeline.parseDate(entry.expectedEnd, 'end');
+        const elapsed = (this.now - start) / (end - start);
+        const value = Math.min(99, Math.max(0, Math.round(elapsed * 100)));
+
+        return {
+            status: 'in-progress',
+            value,
+            label: `${value}% complete · expected ${EducationTimeline.formatDate(entry.expectedEnd)}`
+        };
+    }
+
+    formatPeriod(entry) {
+        const start = EducationTimeline.formatDate(entry.start);
+        if (!entry.end) return `${start} - Present`;
+
+        const end = EducationTimeline.formatDate(entry.end);
+        return start === end ? start : `${start} - ${end}`;
+    }
+
+    // ===== RENDERING =====
+    render() {
+        this.container.innerHTML = this.getEntries().map(entry => this.renderEntry(entry)).join('');
+    }
+
+    renderEntry(entry) {
+        const esc = escapeHTML;
+        const progress = this.getProgress(entry);
+        const width = progress.value === null ? 0 : progress.value;
+        const valueAttributes = progress.value === null ? '' : ` aria-valuenow="${progress.value}"`;
+
+        return `
+                        <div class="timeline-item" role="listitem" id="education-${esc(entry.id)}" data-status="${progress.status}">
+                            <div class="education-card theme-aware">
+                                <div class="education-header">
+                                    <div class="institution-logo" aria-hidden="true">
+                                        <i class="${esc(entry.icon || 'fas fa-graduation-cap')}"></i>
+                                    </div>
+                                    <div class="education-info">
+                                        <h3>${esc(entry.degree)}</h3>
+                                        <p class="institution">${esc(entry.institution)}</p>
+                                        <p class="period">${esc(this.formatPeriod(entry))}</p>
+                                    </div>
+                                </div>
+                                <p class="education-description">${esc(entry.description || '')}</p>
+                                ${entry.grade ? `<p class="education-grade">Grade: <strong>${esc(entry.grade)}</strong></p>` : ''}
+                                ${progress.status === 'completed' ? '' : `<p class="education-status">${esc(progress.label)}</p>`}
+                                ${this.renderModules(entry)}
+                                <div class="progress-indicator" role="progressbar" aria-label="${esc(entry.degree)} progress" aria-valuemin="0" aria-valuemax="100"${valueAttributes} aria-valuetext="${esc(progress.label)}" data-progress="${width}" style="width: ${width}%"></div>
+                            </div>
+                        </div>`;
+    }
+
+    renderModules(entry) {
+        const modules = entry.modules || [];
+        if (modules.length === 0) return '';
+
+        const esc = escapeHTML;
+        const listId = `education-${entry.id}-modules`;
+
+        return `
+                                <div class="education-modules">
+                                    <button type="button" class="education-modules-toggle" aria-expanded="false" aria-controls="${esc(listId)}">
+                                        <i class="fas fa-chevron-down" aria-hidden="true"></i>
+                                        <span class="education-modules-label">${this.modulesLabel(modules.length, false)}</span>
+                                    </button>
+                                    <ul class="education-modules-list" id="${esc(listId)}" hidden>${modules.map(module => `
+                                        <li class="education-module">
+                                            <span class="module-name">${esc(module.name)}</span>
+                                            ${module.grade ? `<span class="module-grade">${esc(module.grade)}</span>` : ''}
+                                        </li>`).join('')}
+                                    </ul>
+                                </div>`;
+    }
+
+    modulesLabel(count, expanded) {
+        return `${expanded ? 'Hide' : 'Show'} ${count} ${count === 1 ? 'module' : 'modules'}`;
+    }
+
+    // ===== MODULE LISTS =====
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.education-modules-toggle');
+            if (toggle && this.container.contains(toggle)) {
+                this.toggleModules(toggle);
+            }
+        });
+    }
+
+    toggleModules(toggle, force) {
+        const list = document.getElementById(toggle.getAttribute('aria-controls'));
+        if (!list) return;
+
+        const expanded = force === undefined ? toggle.getAttribute('aria-expanded') !== 'true' : force;
+        toggle.setAttribute('aria-expanded', String(expanded));
+        list.hidden = !expanded;
+        toggle.closest('.education-modules').classList.toggle('is-expanded', expanded);
+        toggle.querySelector('.education-modules-label').textContent =
+            this.modulesLabel(list.querySelectorAll('.education-module').length, expanded);
+
+        document.dispatchEvent(new CustomEvent('educationmodulestoggle', {
+            detail: { id: toggle.closest('.timeline-item').id.replace(/^education-/, ''), expanded }
+        }));
+    }
+
+    // Opens the module list that contains an element (e.g. a search match)
+    reveal(element) {
+        const list = element.closest('.education-modules-list');
+        if (!list || !list.hidden || !this.container.contains(list)) return;
+
+        const toggle = this.container.querySelector(`[aria-controls="${list.id}"]`);
+        if (toggle) {
+            this.toggleModules(toggle, true);
+        }
+    }
+
+    // ===== ANIMATION =====
+    animate() {
+        const controller = window.animationController;
+        if (!controller) return;
+
+        controller.observeProgressBars(this.container.querySelectorAll('.education-card'), { stagger: 0 });
+
+        const fill = this.timeline && this.timeline.querySelector('.timeline-line-fill');
+        if (!fill) return;
+
+        this.timeline.classList.add('is-scroll-linked');
+        this.stopScrollProgress = controller.observeScrollProgress(this.timeline, progress => this.setLineProgress(progress));
+    }
+
+    setLineProgress(progress) {
+        const fill = this.timeline.querySelector('.timeline-line-fill');
+        fill.style.transform = `scaleY(${progress})`;
+
+        const bounds = this.timeline.getBoundingClientRect();
+        this.container.querySelectorAll('.timeline-item').forEach(item => {
+            const rect = item.getBoundingClientRect();
+            const position = bounds.height > 0 ? (rect.top + rect.height / 2 - bounds.top) / bounds.height : 0;
+            item.classList.toggle('is-reached', progress >= 1 || position <= progress);
+        });
+    }
+
+    destroy() {
+        if (this.stopScrollProgress) {
+            this.stopScrollProgress();
+            this.stopScrollProgress = null;
+        }
+    }
+
+    // ===== UTILITIES =====
+    // 'YYYY' or 'YYYY-MM' -> the first (or, for edge 'end', the last) day of that period
+    static parseDate(value, edge = 'start') {
+        const [year, month] = String(value || '').split('-').map(Number);
+        if (!year) return new Date(NaN);
+
+        if (edge === 'end') {
+            return month ? new Date(year, month, 0) : new Date(year, 11, 31);
+        }
+        return new Date(year, month ? month - 1 : 0, 1);
+    }
+
+    // '2027' -> '2027', '2027-06' -> 'Jun 2027'
+    static formatDate(value) {
+        const [year, month] = String(value || '').split('-').map(Number);
+        if (!year) return '';
+        if (!month) return String(year);
+
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+}
+
+// Export for use in other modules
+window.EducationTimeline = EducationTimeline;
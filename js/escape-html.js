@@ -0,0 +1,23 @@
+/**
+ * PORTFOLIO WEBSITE - HTML ESCAPING
+ * =================================
+ *
+ * The one escaper the templates use for data values. It escapes quotes as
+ * well as &, < and >, so a value is safe both as text and inside a quoted
+ * attribute (aria-label="...", href="...", data-*="...").
+ *
+ * null and undefined become an empty string; everything else goes through
+ * String().
+ */
+
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export for use in other modules
+window.escapeHTML = escapeHTML;
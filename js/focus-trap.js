@@ -0,0 +1,58 @@
+/**
+ * PORTFOLIO WEBSITE - FOCUS TRAP
+ * ==============================
+ *
+ * Keeps keyboard focus inside an open dialog: the project case study,
+ * the certificate preview, the shortcut help overlay and the mobile menu.
+ * Call FocusTrap.handleTab(e, container) from the dialog's keydown handler
+ * when e.key is 'Tab'.
+ *
+ * - Tab on the last focusable element wraps to the first, Shift+Tab on the
+ *   first wraps to the last
+ * - Focus on the container itself, or outside it, is pulled back in
+ * - With nothing focusable, Tab is swallowed so focus stays put
+ * - visibleOnly (default true) skips elements that are not rendered
+ *   (offsetParent is null); pass false where there is no layout, e.g. jsdom
+ */
+
+class FocusTrap {
+    static getFocusableElements(container, { visibleOnly = true } = {}) {
+        if (!container) return [];
+
+        return Array.from(container.querySelectorAll(FocusTrap.SELECTOR))
+            .filter(element => !element.hidden && (!visibleOnly || element.offsetParent !== null));
+    }
+
+    static handleTab(e, container, options = {}) {
+        const focusable = FocusTrap.getFocusableElements(container, options);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const isInside = focusable.includes(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !isInside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+FocusTrap.SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Export for use in other modules
+window.FocusTrap = FocusTrap;
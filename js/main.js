@@ -41,11 +41,20 @@ class PortfolioApp {
 
     init() {
         this.setupNavigation();
+        this.setupSectionSpy();
+        this.setupShortcuts();
         this.setupFormHandling();
         this.setupIntersectionObserver();
         this.setupTypingEffect();
         this.setupScrollEffects();
-        this.setupProjectFilter();
+        this.projectsReady = this.setupProjectCatalog();
+        this.skillsReady = this.setupSkills();
+        this.educationReady = this.setupEducation();
+        this.certificationsReady = this.setupCertifications();
+        this.setupSkillLinks();
+        this.setupSiteSearch();
+        this.setupCv();
+        this.setupStructuredData();
         this.setupFilterButtonAnimations();
         this.setupPerformanceOptimizations();
         this.initializeNavigationAnimations();
@@ -72,9 +81,6 @@ class PortfolioApp {
     setupNavigation() {
         const navLinks = document.querySelectorAll('a[href^="#"]');
         const header = document.querySelector('.modern-header');
-        const mobileMenuBtn = document.getElementById('mobile-menu-button');
-        const mobileMenu = document.getElementById('mobile-menu');
-        const mobileMenuClose = document.querySelector('.mobile-menu-close');
         
         // Scroll effect for header
         window.addEventListener('scroll', () => {
@@ -104,52 +110,18 @@ class PortfolioApp {
                         behavior: 'smooth'
                     });
 
-                    // Update active navigation link
-                    this.updateActiveNavLink(targetId);
+                    // Highlight the target section right away instead of every section scrolled past
+                    if (this.sectionSpy) {
+                        this.sectionSpy.activate(targetSection.id);
+                    }
                     
                     // Close mobile menu if open
                     this.closeMobileMenu();
                 }
             });
         });
-        
-        // Mobile menu toggle
-        if (mobileMenuBtn) {
-            mobileMenuBtn.addEventListener('click', () => {
-                this.toggleMobileMenu();
-            });
-        }
-        
-        // Mobile menu close button
-        if (mobileMenuClose) {
-            mobileMenuClose.addEventListener('click', () => {
-                this.closeMobileMenu();
-            });
-        }
-        
-        // Close mobile menu when clicking outside
-        if (mobileMenu) {
-            mobileMenu.addEventListener('click', (e) => {
-                if (e.target === mobileMenu) {
-                    this.closeMobileMenu();
-                }
-            });
-        }
-        
-        // Close mobile menu when clicking on links
-        const mobileMenuLinks = document.querySelectorAll('.mobile-nav-link');
-        mobileMenuLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                this.closeMobileMenu();
-            });
-        });
-        
-        // Close mobile menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeMobileMenu();
-            }
-        });
+
+        this.setupMobileMenu();
     }
 
     addClickAnimation(element) {
@@ -189,48 +161,515 @@ class PortfolioApp {
         }, 100));
     }
 
-    updateActiveNavLink(targetId) {
-        // Remove active class from all nav links
-        document.querySelectorAll('.nav-link, .mobile-nav-link').forEach(link => {
-            link.classList.remove('active');
+    // ===== SCROLL SPY =====
+    setupSectionSpy() {
+        if (!window.SectionSpy) return;
+
+        this.sectionSpy = new SectionSpy({
+            // Scrolling back to the projects keeps the current filters in the URL
+            hashFor: (id) => {
+                if (id !== 'projects' || !this.projectFilter) return null;
+                const queryString = this.projectFilter.toQueryString();
+                return queryString ? `#projects?${queryString}` : '#projects';
+            }
+        });
+    }
+
+
+
+    // ===== KEYBOARD SHORTCUTS =====
+    setupShortcuts() {
+        if (!window.ShortcutRegistry) return;
+
+        this.shortcuts = new ShortcutRegistry();
+        // Page-level shortcuts stay quiet behind dialogs and the mobile menu
+        const noDialogOpen = () => !document.body.classList.contains('modal-open') && !this.isMobileMenuOpen();
+
+        if (this.sectionSpy) {
+            this.sectionSpy.getSections().forEach(section => {
+                const key = PortfolioApp.SECTION_SHORTCUTS[section.id];
+                if (!key) return;
+
+                this.shortcuts.register(`section-${section.id}`, {
+                    label: section.id === 'home' ? 'Go to top' : `Go to ${section.label}`,
+                    group: 'Navigation',
+                    keys: `g ${key}`,
+                    when: noDialogOpen,
+                    action: () => this.jumpToSection(section.id)
+                });
+            });
+        }
+
+        this.shortcuts.register('theme-toggle', {
+            label: 'Toggle light/dark theme',
+            group: 'General',
+            keys: 't',
+            when: noDialogOpen,
+            action: () => window.themeManager && window.themeManager.toggleTheme()
+        });
+
+        this.shortcuts.register('search', {
+            label: 'Search the portfolio',
+            group: 'General',
+            keys: '/',
+            when: noDialogOpen,
+            action: () => this.openSiteSearch()
+        });
+
+        this.shortcuts.register('project-next', {
+            label: 'Next project',
+            group: 'Projects',
+            keys: 'j',
+            when: () => !this.isMobileMenuOpen(),
+            action: () => this.focusAdjacentProject(1)
+        });
+
+        this.shortcuts.register('project-previous', {
+            label: 'Previous project',
+            group: 'Projects',
+            keys: 'k',
+            when: () => !this.isMobileMenuOpen(),
+            action: () => this.focusAdjacentProject(-1)
+        });
+
+        this.shortcuts.register('contact', {
+            label: 'Write a message',
+            group: 'General',
+            keys: 'c',
+            when: noDialogOpen,
+            action: () => this.focusContactForm()
+        });
+
+        this.setupCommandPalette();
+    }
+
+    // ===== COMMAND PALETTE =====
+    setupCommandPalette() {
+        if (!window.CommandPalette) return;
+
+        this.commandPalette = new CommandPalette();
+        this.commandPalette.addProvider(() => this.getSectionCommands());
+        this.commandPalette.addProvider(() => this.getActionCommands());
+        this.commandPalette.addProvider(() => this.getProjectCommands());
+        this.commandPalette.addProvider(() => this.getSkillCommands());
+        this.commandPalette.addProvider(() => this.getCertificationCommands());
+
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+        this.shortcuts.register('command-palette', {
+            label: 'Open command palette',
+            group: 'General',
+            keys: isMac ? 'meta+k' : 'ctrl+k',
+            allowInInputs: true,
+            when: () => this.commandPalette.isOpen() || !document.body.classList.contains('modal-open'),
+            action: () => this.commandPalette.toggle()
+        });
+    }
+
+    getSectionCommands() {
+        if (!this.sectionSpy) return [];
+
+        return this.sectionSpy.getSections().map(section => ({
+            id: `section-${section.id}`,
+            label: section.id === 'home' ? 'Top of page' : section.label,
+            group: 'Sections',
+            keywords: [section.id],
+            icon: 'fas fa-hashtag',
+            suggested: true,
+            action: () => this.jumpToSection(section.id)
+        }));
+    }
+
+    getActionCommands() {
+        const commands = [];
+        const themeManager = window.themeManager;
+        const contactLink = type => document.querySelector(`.contact-card[data-contact="${type}"]`);
+
+        if (themeManager) {
+            const next = themeManager.isDarkMode() ? 'light' : 'dark';
+            commands.push({
+                id: 'theme-toggle',
+                label: `Switch to ${next} theme`,
+                group: 'Actions',
+                keywords: ['theme', 'dark mode', 'light mode'],
+                icon: next === 'dark' ? 'fas fa-moon' : 'fas fa-sun',
+                suggested: true,
+                action: () => themeManager.toggleTheme()
+            });
+            commands.push({
+                id: 'theme-auto',
+                label: 'Follow system theme',
+                group: 'Actions',
+                keywords: ['theme', 'auto', 'system'],
+                icon: 'fas fa-circle-half-stroke',
+                action: () => themeManager.setPreference('auto')
+            });
+            themeManager.getPalettes().forEach(palette => commands.push({
+                id: `palette-${palette.id}`,
+                label: `Use ${palette.label} palette`,
+                group: 'Actions',
+                keywords: ['theme', 'palette', 'colors'],
+                icon: 'fas fa-palette',
+                action: () => themeManager.setPalette(palette.id)
+            }));
+        }
+
+        const email = contactLink('email');
+        if (email) {
+            const address = email.getAttribute('href').replace(/^mailto:/, '');
+            commands.push({
+                id: 'copy-email',
+                label: 'Copy email address',
+                group: 'Actions',
+                description: address,
+                keywords: ['email', 'mail', 'contact'],
+                icon: 'fas fa-copy',
+                suggested: true,
+                action: () => this.copyToClipboard(address, 'Email address copied')
+            });
+        }
+
+        const phone = contactLink('phone');
+        if (phone) {
+            commands.push({
+                id: 'call-phone',
+                label: 'Call phone',
+                group: 'Actions',
+                description: phone.getAttribute('href').replace(/^tel:/, ''),
+                keywords: ['phone', 'telephone', 'contact'],
+                icon: 'fas fa-phone',
+                action: () => { window.location.href = phone.getAttribute('href'); }
+            });
+        }
+
+        const github = contactLink('github');
+        if (github) {
+            commands.push({
+                id: 'open-github',
+                label: 'Open GitHub profile',
+                group: 'Actions',
+                description: github.getAttribute('href').replace(/^https?:\/\//, ''),
+                keywords: ['github', 'code', 'repositories'],
+                icon: 'fab fa-github',
+                suggested: true,
+                action: () => window.open(github.getAttribute('href'), '_blank', 'noopener')
+            });
+        }
+
+        commands.push({
+            id: 'site-search',
+            label: 'Search the portfolio',
+            group: 'Actions',
+            description: 'Find text in projects, skills, education and certifications',
+            keywords: ['search', 'find', 'full text'],
+            icon: 'fas fa-search',
+            suggested: true,
+            action: () => this.openSiteSearch()
         });
 
-        // Add active class to current link
-        const activeLink = document.querySelector(`a[href="${targetId}"]`);
-        if (activeLink) {
-            activeLink.classList.add('active');
+        if (this.cvBuilder) {
+            commands.push({
+                id: 'cv-download',
+                label: 'Download CV',
+                group: 'Actions',
+                description: 'HTML file generated from this page',
+                keywords: ['resume', 'résumé', 'curriculum vitae'],
+                icon: 'fas fa-file-arrow-down',
+                suggested: true,
+                action: () => this.downloadCv()
+            });
+            commands.push({
+                id: 'cv-print',
+                label: 'Print CV',
+                group: 'Actions',
+                description: 'Print or save as PDF',
+                keywords: ['resume', 'résumé', 'pdf'],
+                icon: 'fas fa-print',
+                action: () => this.printCv()
+            });
+        }
+
+        commands.push({
+            id: 'write-message',
+            label: 'Write a message',
+            group: 'Actions',
+            keywords: ['contact', 'form', 'email'],
+            icon: 'fas fa-paper-plane',
+            action: () => this.focusContactForm()
+        });
+
+        if (this.shortcuts) {
+            commands.push({
+                id: 'shortcuts',
+                label: 'Show keyboard shortcuts',
+                group: 'Actions',
+                keywords: ['help', 'keys'],
+                icon: 'fas fa-keyboard',
+                action: () => this.shortcuts.openHelp()
+            });
         }
+
+        return commands;
     }
 
-    updateActiveNavLinkOnScroll() {
-        const sections = document.querySelectorAll('section[id]');
-        const scrollPosition = window.scrollY + 100;
+    getProjectCommands() {
+        return Array.from(document.querySelectorAll('#projects-grid .project-card')).map(card => {
+            const title = card.querySelector('.project-title');
+            const technologies = Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim());
+            const category = card.querySelector('.badge-text');
+
+            return {
+                id: `project-${card.dataset.projectId}`,
+                label: title ? title.textContent.trim() : card.dataset.projectId,
+                group: 'Projects',
+                description: category ? category.textContent.trim() : card.dataset.category,
+                keywords: [card.dataset.category, ...technologies],
+                icon: 'fas fa-folder-open',
+                action: () => {
+                    this.revealProject(card);
+                    if (this.projectModal) {
+                        this.projectModal.open(card.dataset.projectId, card.querySelector('.project-details-btn'));
+                    }
+                }
+            };
+        });
+    }
 
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            const sectionId = section.getAttribute('id');
+    getSkillCommands() {
+        const technical = Array.from(document.querySelectorAll('#skills .skill-item')).map(item => {
+            const name = item.querySelector('.skill-name');
+            const level = item.querySelector('.skill-percentage');
+            const category = item.closest('.skill-category');
+            const heading = category && category.querySelector('h3');
+
+            return {
+                id: `skill-${name ? name.textContent.trim() : ''}`,
+                label: name ? name.textContent.trim() : '',
+                group: 'Skills',
+                description: [heading && heading.textContent.trim(), level && level.textContent.trim()].filter(Boolean).join(' · '),
+                icon: 'fas fa-code',
+                action: () => this.highlightElement(item)
+            };
+        });
 
-            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                this.updateActiveNavLink(`#${sectionId}`);
-            }
+        const soft = Array.from(document.querySelectorAll('#skills .soft-skill-card')).map(card => {
+            const name = card.querySelector('.soft-skill-name');
+            const description = card.querySelector('.soft-skill-description');
+
+            return {
+                id: `skill-${name ? name.textContent.trim() : ''}`,
+                label: name ? name.textContent.trim() : '',
+                group: 'Skills',
+                description: description ? description.textContent.trim() : 'Soft skill',
+                icon: 'fas fa-user-check',
+                action: () => this.highlightElement(card)
+            };
         });
+
+        return [...technical, ...soft].filter(command => command.label);
     }
 
+    getCertificationCommands() {
+        return Array.from(document.querySelectorAll('#certifications .cert-card')).map(card => {
+            const title = card.querySelector('.cert-title');
+            const issuer = card.querySelector('.cert-issuer');
+
+            return {
+                id: `certification-${title ? title.textContent.trim() : ''}`,
+                label: title ? title.textContent.trim() : '',
+                group: 'Certifications',
+                description: issuer ? issuer.textContent.trim() : '',
+                icon: 'fas fa-certificate',
+                action: () => this.highlightElement(card)
+            };
+        }).filter(command => command.label);
+    }
 
+    // Scrolls to an element, focuses it for screen readers and flashes an outline
+    highlightElement(element) {
+        if (this.skillsView) {
+            this.skillsView.reveal(element);
+        }
+        if (this.certificationGallery) {
+            this.certificationGallery.reveal(element);
+        }
+        this.scrollToElement(element);
 
-    toggleMobileMenu() {
+        if (!element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+        }
+        element.focus({ preventScroll: true });
+
+        element.classList.remove('target-highlight');
+        // Force reflow so the animation restarts on repeated calls
+        void element.offsetWidth;
+        element.classList.add('target-highlight');
+
+        setTimeout(() => {
+            element.classList.remove('target-highlight');
+        }, 2500);
+    }
+
+    copyToClipboard(text, message) {
+        if (!navigator.clipboard) {
+            this.showNotification(text, 'info');
+            return;
+        }
+
+        navigator.clipboard.writeText(text)
+            .then(() => this.showNotification(message, 'success'))
+            .catch(() => this.showNotification(text, 'info'));
+    }
+
+    jumpToSection(id) {
+        const section = document.getElementById(id);
+        if (!section) return;
+
+        this.scrollToElement(section);
+        if (this.sectionSpy) {
+            this.sectionSpy.activate(id);
+        }
+
+        // Move keyboard focus along with the view
+        if (!section.hasAttribute('tabindex')) {
+            section.setAttribute('tabindex', '-1');
+        }
+        section.focus({ preventScroll: true });
+    }
+
+    // ===== SITE SEARCH =====
+    setupSiteSearch() {
+        if (!window.SiteSearch) return;
+
+        this.siteSearch = new SiteSearch({
+            reveal: element => this.revealSearchHit(element)
+        });
+
+        // Index the data-rendered sections once they are on the page
+        Promise.all(this.getContentReady()).then(() => this.siteSearch.build());
+
+        const button = document.getElementById('site-search-button');
+        if (button) {
+            button.addEventListener('click', () => {
+                if (this.siteSearch.isOpen()) {
+                    this.siteSearch.close();
+                } else {
+                    this.openSiteSearch();
+                }
+            });
+            document.addEventListener('sitesearchopen', () => button.setAttribute('aria-expanded', 'true'));
+            document.addEventListener('sitesearchclose', () => button.setAttribute('aria-expanded', 'false'));
+        }
+    }
+
+    openSiteSearch() {
+        if (!this.siteSearch) return;
+
+        if (this.isMobileMenuOpen()) {
+            this.closeMobileMenu({ restoreFocus: false });
+        }
+        this.siteSearch.open();
+    }
+
+    // Matches can sit in project cards hidden by the current filters or in another skills view
+    revealSearchHit(element) {
+        if (this.skillsView) {
+            this.skillsView.reveal(element);
+        }
+        if (this.educationTimeline) {
+            this.educationTimeline.reveal(element);
+        }
+        if (this.certificationGallery) {
+            this.certificationGallery.reveal(element);
+        }
+
+        const card = element.closest('.project-card');
+        if (card && card.classList.contains('hidden') && this.projectFilter) {
+            this.restoreFilterState({
+                ...ProjectFilter.parseQueryString(''),
+                sort: this.projectFilter.getState().sort
+            });
+        }
+    }
+
+    // Moves through the visible cards in their current order; inside the case study it pages the dialog
+    focusAdjacentProject(direction) {
+        if (this.projectModal && this.projectModal.isOpen()) {
+            this.projectModal.navigate(direction);
+            return;
+        }
+        if (document.body.classList.contains('modal-open')) return;
+
+        const cards = Array.from(document.querySelectorAll('#projects-grid .project-card:not(.hidden)'));
+        if (cards.length === 0) return;
+
+        const current = cards.findIndex(card => card.contains(document.activeElement));
+        const next = current === -1
+            ? (direction > 0 ? 0 : cards.length - 1)
+            : (current + direction + cards.length) % cards.length;
+        const button = cards[next].querySelector('.project-details-btn');
+
+        this.scrollToElement(cards[next]);
+        if (button) {
+            button.focus({ preventScroll: true });
+        }
+    }
+
+    focusContactForm() {
+        const field = document.querySelector('.modern-contact-form input, .modern-contact-form textarea');
+        if (!field) return;
+
+        this.scrollToElement(field.closest('form'));
+        field.focus({ preventScroll: true });
+    }
+
+    // ===== MOBILE MENU =====
+    setupMobileMenu() {
         const mobileMenuBtn = document.getElementById('mobile-menu-button');
         const mobileMenu = document.getElementById('mobile-menu');
-        
-        if (mobileMenu && mobileMenuBtn) {
-            const isOpen = mobileMenu.classList.contains('active');
-            
-            if (isOpen) {
+        const mobileMenuClose = document.querySelector('.mobile-menu-close');
+
+        if (!mobileMenu || !mobileMenuBtn) return;
+
+        // Matches the CSS breakpoint where .nav-menu-desktop is shown again
+        this.desktopBreakpoint = window.matchMedia('(min-width: 1025px)');
+        this.handleMobileMenuKeydown = this.handleMobileMenuKeydown.bind(this);
+
+        mobileMenuBtn.addEventListener('click', () => {
+            this.toggleMobileMenu();
+        });
+
+        if (mobileMenuClose) {
+            mobileMenuClose.addEventListener('click', () => {
+                this.closeMobileMenu();
+            });
+        }
+
+        // Clicks on the backdrop (outside the panel) close the menu
+        mobileMenu.addEventListener('click', (e) => {
+            if (e.target === mobileMenu) {
                 this.closeMobileMenu();
-            } else {
-                this.openMobileMenu();
             }
+        });
+
+        mobileMenu.querySelectorAll('.mobile-nav-link').forEach(link => {
+            link.addEventListener('click', () => {
+                this.closeMobileMenu();
+            });
+        });
+
+        this.setupMobileMenuSwipe(mobileMenu.querySelector('.mobile-menu-container'));
+    }
+
+    isMobileMenuOpen() {
+        const mobileMenu = document.getElementById('mobile-menu');
+        return Boolean(mobileMenu && mobileMenu.classList.contains('active'));
+    }
+
+    toggleMobileMenu() {
+        if (this.isMobileMenuOpen()) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
         }
     }
 
@@ -238,31 +677,129 @@ class PortfolioApp {
         const mobileMenuBtn = document.getElementById('mobile-menu-button');
         const mobileMenu = document.getElementById('mobile-menu');
         
-        if (mobileMenu && mobileMenuBtn) {
-            mobileMenu.classList.add('active');
-            mobileMenuBtn.classList.add('active');
-            mobileMenuBtn.setAttribute('aria-expanded', 'true');
-            document.body.style.overflow = 'hidden';
+        if (!mobileMenu || !mobileMenuBtn || this.isMobileMenuOpen()) return;
+
+        mobileMenu.classList.add('active');
+        mobileMenuBtn.classList.add('active');
+        mobileMenuBtn.setAttribute('aria-expanded', 'true');
+        document.body.classList.add('menu-open');
+        document.addEventListener('keydown', this.handleMobileMenuKeydown);
+
+        // Start on the current section's link, or the first focusable element
+        const focusTarget = mobileMenu.querySelector('.mobile-nav-link.active') ||
+            this.getMobileMenuFocusableElements()[0];
+        if (focusTarget) {
+            focusTarget.focus();
         }
     }
 
-    closeMobileMenu() {
+    closeMobileMenu({ restoreFocus = true } = {}) {
         const mobileMenuBtn = document.getElementById('mobile-menu-button');
         const mobileMenu = document.getElementById('mobile-menu');
         
-        if (mobileMenu && mobileMenuBtn) {
-            mobileMenu.classList.remove('active');
-            mobileMenuBtn.classList.remove('active');
-            mobileMenuBtn.setAttribute('aria-expanded', 'false');
-            document.body.style.overflow = '';
+        if (!mobileMenu || !mobileMenuBtn || !this.isMobileMenuOpen()) return;
+
+        mobileMenu.classList.remove('active');
+        mobileMenuBtn.classList.remove('active');
+        mobileMenuBtn.setAttribute('aria-expanded', 'false');
+        document.body.classList.remove('menu-open');
+        document.removeEventListener('keydown', this.handleMobileMenuKeydown);
+
+        if (restoreFocus) {
+            mobileMenuBtn.focus();
         }
     }
 
+    updateMobileMenu() {
+        if (!this.desktopBreakpoint || !this.desktopBreakpoint.matches || !this.isMobileMenuOpen()) return;
+
+        // The toggle button is hidden on desktop, so move focus to the matching desktop link
+        const focused = document.activeElement;
+        const desktopLink = focused && focused.classList.contains('mobile-nav-link')
+            ? document.querySelector(`.nav-link[href="${focused.getAttribute('href')}"]`)
+            : null;
+
+        this.closeMobileMenu({ restoreFocus: false });
+
+        if (desktopLink) {
+            desktopLink.focus();
+        }
+    }
+
+    handleMobileMenuKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeMobileMenu();
+        } else if (e.key === 'Tab') {
+            FocusTrap.handleTab(e, document.querySelector('#mobile-menu .mobile-menu-container'));
+        }
+    }
+
+    getMobileMenuFocusableElements() {
+        return FocusTrap.getFocusableElements(document.querySelector('#mobile-menu .mobile-menu-container'));
+    }
+
+    setupMobileMenuSwipe(panel) {
+        if (!panel) return;
+
+        const closeDistance = 80;
+        let startX = 0;
+        let startY = 0;
+        let deltaX = 0;
+        let tracking = false;
+
+        panel.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return;
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            deltaX = 0;
+            tracking = true;
+        }, { passive: true });
+
+        panel.addEventListener('touchmove', (e) => {
+            if (!tracking) return;
+
+            const dx = e.touches[0].clientX - startX;
+            const dy = e.touches[0].clientY - startY;
+
+            // Mostly vertical gestures scroll the link list instead
+            if (deltaX === 0 && Math.abs(dy) > Math.abs(dx)) {
+                tracking = false;
+                return;
+            }
+
+            // The panel slides in from the right, so only rightward drags count
+            deltaX = Math.max(0, dx);
+            panel.style.transition = 'none';
+            panel.style.transform = `translateX(${deltaX}px)`;
+        }, { passive: true });
+
+        const endSwipe = () => {
+            if (!tracking) return;
+            tracking = false;
+
+            // Hand the transform back to the stylesheet (open position or slide-out)
+            panel.style.removeProperty('transition');
+            panel.style.removeProperty('transform');
+
+            if (deltaX > closeDistance) {
+                this.closeMobileMenu();
+            }
+        };
+
+        panel.addEventListener('touchend', endSwipe);
+        panel.addEventListener('touchcancel', endSwipe);
+    }
+
     // ===== FORM HANDLING =====
     setupFormHandling() {
         const contactForm = document.querySelector('#contact form');
         
         if (contactForm) {
+            this.contactService = ContactService.fromForm(contactForm);
+            this.messageQueue = window.MessageQueue && MessageQueue.isSupported() ? new MessageQueue() : null;
+            this.setupOfflineDelivery();
+
             contactForm.addEventListener('submit', (e) => {
                 e.preventDefault();
                 this.handleFormSubmission(contactForm);
@@ -291,17 +828,100 @@ class PortfolioApp {
         if (isValid) {
             this.showLoadingState(form);
             
-            // Simulate form submission (replace with actual API call)
-            setTimeout(() => {
-                this.showSuccessMessage();
-                form.reset();
-                this.hideLoadingState(form);
-            }, 2000);
+            // Offline, or the server cannot be reached: keep the message for the service worker
+            const delivery = this.shouldQueueMessage()
+                ? this.queueMessage(data)
+                : this.contactService.send(data, {
+                    onNetworkError: this.canQueueMessage() ? () => this.queueMessage(data) : null
+                });
+
+            delivery
+                .then(result => {
+                    if (result.method === 'queued' && navigator.onLine === false) {
+                        this.showNotification('You are offline. Your message has been saved and will be sent automatically when you are back online.', 'info');
+                    } else if (result.method === 'queued') {
+                        this.showNotification('The server could not be reached. Your message has been saved and will be sent automatically later.', 'info');
+                    } else if (result.method === 'mailto') {
+                        this.showNotification('Your email app has been opened with the message ready to send.', 'info');
+                    } else {
+                        this.showSuccessMessage();
+                    }
+                    form.reset();
+                })
+                .catch(error => {
+                    console.error('Contact form submission failed:', error);
+                    this.showErrorMessage(error.userMessage || 'Your message could not be sent. Please try again later.');
+                })
+                .finally(() => {
+                    this.hideLoadingState(form);
+                });
         } else {
             this.showErrorMessage('Please fix the errors above.');
         }
     }
 
+    // ===== OFFLINE DELIVERY =====
+    shouldQueueMessage() {
+        return navigator.onLine === false && this.canQueueMessage();
+    }
+
+    canQueueMessage() {
+        return Boolean(this.messageQueue) && this.contactService.canQueue();
+    }
+
+    queueMessage(data) {
+        const request = this.contactService.buildRequest(data);
+
+        return this.messageQueue.add({ ...request, subject: data.subject })
+            .then(() => this.registerBackgroundSync())
+            .then(() => ({ delivered: false, method: 'queued' }));
+    }
+
+    registerBackgroundSync() {
+        if (!('serviceWorker' in navigator)) {
+            return Promise.resolve();
+        }
+
+        return navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.sync) {
+                    return registration.sync.register('background-sync');
+                }
+            })
+            .catch(error => {
+                // Replay is still triggered by the 'online' listener below
+                console.warn('Background sync registration failed:', error);
+            });
+    }
+
+    setupOfflineDelivery() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Delivery reports from doBackgroundSync() in sw.js
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            const message = e.data || {};
+
+            if (message.type === 'contact-message-delivered') {
+                this.showNotification(`Your message "${escapeHTML(message.subject)}" was delivered. Thank you!`, 'success');
+            } else if (message.type === 'contact-message-failed') {
+                this.showErrorMessage(`Your message "${escapeHTML(message.subject)}" could not be delivered. Please send it again.`);
+            }
+        });
+
+        // Browsers without Background Sync: ask the worker to replay once we are
+        // back online, and on each visit for messages queued while the server was down
+        window.addEventListener('online', () => this.replayQueuedMessages());
+        this.replayQueuedMessages();
+    }
+
+    replayQueuedMessages() {
+        return navigator.serviceWorker.ready.then(registration => {
+            if (!registration.sync && registration.active) {
+                registration.active.postMessage({ type: 'replay-contact-queue' });
+            }
+        });
+    }
+
     validateForm(data) {
         let isValid = true;
         
@@ -480,48 +1100,11 @@ class PortfolioApp {
     // ===== TYPING EFFECT =====
     setupTypingEffect() {
         const typingElement = document.querySelector('.typing-animation');
-        if (!typingElement) return;
-
-        const roles = [
-            'Full-Stack Developer',
-            'UI/UX Designer',
-            'Problem Solver',
-            'Creative Thinker'
-        ];
-
-        let currentRoleIndex = 0;
-        let currentCharIndex = 0;
-        let isDeleting = false;
-        let typingSpeed = 100;
-
-        const typeText = () => {
-            const currentRole = roles[currentRoleIndex];
-            
-            if (isDeleting) {
-                typingElement.textContent = currentRole.substring(0, currentCharIndex - 1);
-                currentCharIndex--;
-                typingSpeed = 50;
-            } else {
-                typingElement.textContent = currentRole.substring(0, currentCharIndex + 1);
-                currentCharIndex++;
-                typingSpeed = 100;
-            }
-
-            if (!isDeleting && currentCharIndex === currentRole.length) {
-                // Pause at end
-                typingSpeed = 2000;
-                isDeleting = true;
-            } else if (isDeleting && currentCharIndex === 0) {
-                isDeleting = false;
-                currentRoleIndex = (currentRoleIndex + 1) % roles.length;
-                typingSpeed = 500;
-            }
-
-            setTimeout(typeText, typingSpeed);
-        };
+        if (!typingElement || typeof TypingEngine === 'undefined') return;
 
-        // Start typing effect after a delay
-        setTimeout(typeText, 1000);
+        // Phrases and timings come from the element's data- attributes
+        // (data/typing.json for the hero); this is only the start delay
+        this.heroTyping = TypingEngine.fromElement(typingElement, { startDelay: 1000 });
     }
 
     // ===== SCROLL EFFECTS =====
@@ -568,16 +1151,8 @@ class PortfolioApp {
 
     // ===== PERFORMANCE OPTIMIZATIONS =====
     setupPerformanceOptimizations() {
-        // Debounce scroll events with requestAnimationFrame
-        let scrollTimeout;
-        window.addEventListener('scroll', () => {
-            if (scrollTimeout) {
-                window.cancelAnimationFrame(scrollTimeout);
-            }
-            scrollTimeout = window.requestAnimationFrame(() => {
-                this.handleScroll();
-            });
-        }, { passive: true });
+        // Active navigation is driven by SectionSpy's IntersectionObserver,
+        // so no per-frame scroll handler is needed here
         
         // Throttle resize events
         let resizeTimeout;
@@ -605,12 +1180,6 @@ class PortfolioApp {
         this.setupHeroButtonAnimations();
     }
     
-    handleScroll() {
-        // Handle scroll events efficiently
-        const scrollY = window.scrollY;
-        this.updateActiveNavigation(scrollY);
-    }
-    
     handleResize() {
         // Handle resize events efficiently
         this.updateMobileMenu();
@@ -719,62 +1288,491 @@ class PortfolioApp {
         }, 600);
     }
 
+    // ===== PROJECT CATALOG =====
+    setupProjectCatalog() {
+        const grid = document.getElementById('projects-grid');
+        if (!grid) return Promise.resolve([]);
+
+        const source = grid.dataset.source || 'data/projects.json';
+
+        return this.loadJSON(source)
+            .then(catalog => {
+                this.projectCatalog = catalog;
+                this.renderProjects(catalog, grid);
+                this.updateProjectCounts(catalog);
+                this.setupProjectFilter();
+                this.setupProjectDeepLinks();
+                this.setupProjectModal(catalog, grid);
+
+                // Let other modules know the cards are in the DOM
+                document.dispatchEvent(new CustomEvent('projectsrendered', {
+                    detail: { projects: catalog.projects, categories: catalog.categories }
+                }));
+
+                return catalog.projects;
+            })
+            .catch(error => {
+                console.error('Could not load projects:', error);
+                grid.innerHTML = '<p class="projects-empty">Projects could not be loaded right now. Please refresh the page to try again.</p>';
+                return [];
+            })
+            .finally(() => {
+                grid.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    loadJSON(source) {
+        return fetch(source).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load ${source}: ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    renderProjects(catalog, grid) {
+        const categories = catalog.categories || {};
+        grid.innerHTML = catalog.projects
+            .map(project => this.createProjectCard(project, categories))
+            .join('');
+    }
+
+    createProjectCard(project, categories) {
+        const esc = escapeHTML;
+        const technologies = project.technologies || [];
+        const links = project.links || [];
+        const categoryLabel = categories[project.category] || project.category;
+
+        const overlayLinks = links.map(link => `
+                            <a href="${esc(link.url)}" class="project-link-btn" title="${esc(link.label)}" target="_blank" rel="noopener">
+                                <i class="${esc(link.icon)}"></i>
+                            </a>`).join('');
+
+        const footerLinks = links.map(link => `
+                        <a href="${esc(link.url)}" class="project-link-footer" target="_blank" rel="noopener">
+                            <i class="${esc(link.icon)}"></i>
+                            <span>${esc(link.label)}</span>
+                        </a>`).join('');
+
+        const techTags = technologies.map(tech => `
+                        <span class="tech-tag" data-technology="${esc(tech.id)}">${esc(tech.name)}</span>`).join('');
+
+        return `
+            <article class="project-card modern-card" id="project-${esc(project.id)}" data-project-id="${esc(project.id)}" data-category="${esc(project.category)}" data-technologies="${esc(technologies.map(tech => tech.id).join(','))}" data-date="${esc(project.endDate || project.startDate || '')}"${project.featured ? ' data-featured="true"' : ''}>
+                <div class="project-header">
+                    <div class="project-image-container">
+                        <div class="project-image">
+                            <div class="image-placeholder bg-gradient-to-br ${esc(project.gradient)}">
+                                <i class="${esc(project.icon)}" aria-hidden="true"></i>
+                            </div>
+                        </div>
+                        <div class="project-overlay">
+                            <div class="overlay-content">
+                                <div class="project-links">${overlayLinks}
+                                </div>
+                            </div>
+                        </div>
+                        <div class="project-badge">
+                            <span class="badge-text">${esc(categoryLabel)}</span>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="project-content">
+                    <div class="project-info">
+                        <h3 class="project-title">${esc(project.title)}</h3>
+                        <p class="project-description">${esc(project.description)}</p>
+                    </div>
+
+                    <div class="project-technologies">
+                        <div class="tech-tags">${techTags}
+                        </div>
+                    </div>
+
+                    <div class="project-footer">
+                        <div class="project-links-footer">${footerLinks}
+                        </div>
+                        <div class="project-footer-actions">
+                            <button type="button" class="project-details-btn" aria-label="Read the case study for ${esc(project.title)}">
+                                <span>Case Study</span>
+                                <i class="fas fa-arrow-right" aria-hidden="true"></i>
+                            </button>
+                            <a href="#project-${esc(project.id)}" class="project-permalink" title="Link to this project" aria-label="Link to ${esc(project.title)}">
+                                <i class="fas fa-link" aria-hidden="true"></i>
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            </article>`;
+    }
+
+    updateProjectCounts(catalog) {
+        const counts = { all: catalog.projects.length };
+        catalog.projects.forEach(project => {
+            counts[project.category] = (counts[project.category] || 0) + 1;
+        });
+
+        // Filter button counts are kept live by ProjectFilter
+        // Project stats (data-stat lists one or more space-separated categories)
+        document.querySelectorAll('[data-stat]').forEach(element => {
+            element.textContent = element.dataset.stat
+                .split(' ')
+                .reduce((total, category) => total + (counts[category] || 0), 0);
+        });
+    }
+
     // ===== PROJECT FILTER FUNCTIONALITY =====
     setupProjectFilter() {
-        const filterButtons = document.querySelectorAll('.filter-btn');
-        const projectCards = document.querySelectorAll('.project-card.modern-card');
-        const statusCount = document.querySelector('.status-count');
-        const statusText = document.querySelector('.status-text');
+        // Category buttons, technology chips and search are combined by ProjectFilter
+        this.projectFilter = new ProjectFilter({
+            grid: document.getElementById('projects-grid')
+        });
+    }
 
-        filterButtons.forEach(button => {
+    // ===== SKILLS =====
+    setupSkills() {
+        const container = document.getElementById('skills-views');
+        if (!container || !window.SkillsView) return Promise.resolve(null);
+
+        const source = container.dataset.source || 'data/skills.json';
+
+        return this.loadJSON(source)
+            .then(data => {
+                this.skillsView = new SkillsView({ container, data });
+
+                document.dispatchEvent(new CustomEvent('skillsrendered', {
+                    detail: { skills: data.skills, categories: data.categories }
+                }));
+
+                return data.skills;
+            })
+            .catch(error => {
+                console.error('Could not load skills:', error);
+                container.innerHTML = '<p class="skills-empty">Skills could not be loaded right now. Please refresh the page to try again.</p>';
+                return [];
+            })
+            .finally(() => {
+                container.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    // ===== EDUCATION =====
+    setupEducation() {
+        const container = document.getElementById('education-list');
+        if (!container || !window.EducationTimeline) return Promise.resolve(null);
+
+        const source = container.dataset.source || 'data/education.json';
+
+        return this.loadJSON(source)
+            .then(data => {
+                this.educationTimeline = new EducationTimeline({ container, data });
+
+                document.dispatchEvent(new CustomEvent('educationrendered', {
+                    detail: { education: data.education }
+                }));
+
+                return data.education;
+            })
+            .catch(error => {
+                console.error('Could not load education:', error);
+                container.innerHTML = '<p class="education-empty">Education could not be loaded right now. Please refresh the page to try again.</p>';
+                return [];
+            })
+            .finally(() => {
+                container.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    // ===== CERTIFICATIONS =====
+    setupCertifications() {
+        const grid = document.getElementById('certifications-grid');
+        if (!grid || !window.CertificationGallery) return Promise.resolve(null);
+
+        const source = grid.dataset.source || 'data/certifications.json';
+
+        return this.loadJSON(source)
+            .then(data => {
+                this.certificatePreview = window.CertificatePreview ? new CertificatePreview() : null;
+                this.certificationGallery = new CertificationGallery({ grid, data, preview: this.certificatePreview });
+
+                document.dispatchEvent(new CustomEvent('certificationsrendered', {
+                    detail: { certifications: data.certifications, issuers: data.issuers }
+                }));
+
+                return data.certifications;
+            })
+            .catch(error => {
+                console.error('Could not load certifications:', error);
+                grid.innerHTML = '<p class="certifications-empty">Certifications could not be loaded right now. Please refresh the page to try again.</p>';
+                return [];
+            })
+            .finally(() => {
+                grid.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    // Promises for every section rendered from data/
+    getContentReady() {
+        return [this.projectsReady, this.skillsReady, this.educationReady, this.certificationsReady];
+    }
+
+    // ===== STRUCTURED DATA =====
+    // Rebuilds the JSON-LD from the data the sections were rendered from, so it
+    // follows content changes even before the build script is run again
+    setupStructuredData() {
+        const script = document.getElementById('structured-data');
+        if (!script || !window.StructuredData) return;
+
+        const profileSource = script.dataset.source || 'data/profile.json';
+
+        Promise.all([this.loadJSON(profileSource), ...this.getContentReady()])
+            .then(([profile]) => {
+                const content = {
+                    profile,
+                    projects: this.projectCatalog,
+                    skills: this.skillsView && this.skillsView.data,
+                    education: this.educationTimeline && this.educationTimeline.data,
+                    certifications: this.certificationGallery && this.certificationGallery.data
+                };
+
+                // Keep the pre-rendered JSON-LD rather than publish a partial one
+                if (Object.values(content).some(value => !value)) return;
+
+                const data = new StructuredData(content).build();
+                script.textContent = JSON.stringify(data, null, 4);
+
+                document.dispatchEvent(new CustomEvent('structureddataupdated', {
+                    detail: { data }
+                }));
+            })
+            .catch(error => {
+                console.warn('Structured data was not refreshed:', error);
+            });
+    }
+
+    // ===== CV =====
+    setupCv() {
+        if (!window.CvBuilder) return;
+
+        this.cvBuilder = new CvBuilder();
+
+        document.querySelectorAll('[data-cv-action]').forEach(button => {
             button.addEventListener('click', () => {
-                const filter = button.getAttribute('data-filter');
-                const count = button.getAttribute('data-count');
-                
-                // Update active button
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
-                
-                // Filter projects
-                this.filterProjects(filter, projectCards, statusCount, statusText, count);
-                
-                // Add click animation
-                this.addFilterButtonClickEffect(button);
+                if (button.dataset.cvAction === 'print') {
+                    this.printCv();
+                } else {
+                    this.downloadCv();
+                }
             });
         });
     }
 
-    filterProjects(filter, projectCards, statusCount, statusText, count) {
-        let visibleCount = 0;
-        
-        projectCards.forEach(card => {
-            const category = card.getAttribute('data-category');
-            
-            if (filter === 'all' || category === filter) {
-                card.classList.remove('hidden');
-                card.classList.add('visible');
-                card.style.animation = 'fadeInUp 0.6s ease-out';
-                visibleCount++;
-            } else {
-                card.classList.add('hidden');
-                card.classList.remove('visible');
+    // Most sections are rendered from data, so wait for them before building the CV
+    downloadCv() {
+        return Promise.all(this.getContentReady())
+            .then(() => this.cvBuilder.download())
+            .then(() => this.showNotification('Your CV download has started.', 'success'))
+            .catch(error => {
+                console.error('Could not generate the CV:', error);
+                this.showNotification('The CV could not be generated. Please try again.', 'error');
+            });
+    }
+
+    printCv() {
+        return Promise.all(this.getContentReady())
+            .then(() => this.cvBuilder.print());
+    }
+
+    // ===== SKILL <-> PROJECT LINKS =====
+    setupSkillLinks() {
+        Promise.all([this.projectsReady, this.skillsReady]).then(() => {
+            if (!this.skillsView || !this.projectFilter) return;
+
+            // Skill -> projects: count the cards whose data-technologies match the skill
+            const links = new Map();
+            this.skillsView.data.skills.forEach(skill => {
+                const state = this.getSkillFilterState(skill);
+                links.set(skill.id, {
+                    count: this.projectFilter.cards.filter(card => this.projectFilter.matches(card, state)).length,
+                    href: `#projects?${this.projectFilter.toQueryString(state)}`
+                });
+            });
+            this.skillsView.setProjectLinks(links);
+
+            this.skillsView.container.addEventListener('click', (e) => {
+                const link = e.target.closest('.skill-projects-link');
+                if (link) {
+                    e.preventDefault();
+                    this.showProjectsForSkill(link.dataset.skill);
+                }
+            });
+
+            // Project -> skill: tech tags with a matching skill become links
+            const grid = document.getElementById('projects-grid');
+            this.linkTechTags(grid);
+            grid.addEventListener('click', (e) => {
+                const tag = e.target.closest('.tech-tag-link');
+                if (tag) {
+                    e.preventDefault();
+                    this.showSkill(tag.dataset.skill);
+                }
+            });
+        });
+    }
+
+    getSkillFilterState(skill) {
+        return {
+            ...ProjectFilter.parseQueryString(''),
+            technologies: this.skillsView.getTechnologies(skill),
+            sort: this.projectFilter.getState().sort
+        };
+    }
+
+    linkTechTags(root) {
+        root.querySelectorAll('span.tech-tag[data-technology]').forEach(tag => {
+            const skill = this.skillsView.getSkillForTechnology(tag.dataset.technology);
+            if (!skill) return;
+
+            const link = document.createElement('a');
+            link.className = 'tech-tag tech-tag-link';
+            link.href = `#${this.skillsView.getSkillElement(skill.id).id}`;
+            link.dataset.technology = tag.dataset.technology;
+            link.dataset.skill = skill.id;
+            link.title = `See ${skill.name} in Skills`;
+            link.textContent = tag.textContent;
+            tag.replaceWith(link);
+        });
+    }
+
+    // Filters the grid to the projects using a skill; the filter listener updates the URL
+    showProjectsForSkill(id) {
+        const skill = this.skillsView.getSkill(id);
+        if (!skill) return;
+
+        this.projectFilter.setState(this.getSkillFilterState(skill));
+        this.scrollToElement(document.getElementById('projects'));
+    }
+
+    showSkill(id) {
+        const element = this.skillsView.getSkillElement(id);
+        if (element) {
+            this.highlightElement(element);
+        }
+    }
+
+    // ===== PROJECT DETAIL MODAL =====
+    setupProjectModal(catalog, grid) {
+        this.projectModal = new ProjectModal({
+            grid,
+            projects: catalog.projects,
+            categories: catalog.categories,
+            detailsPath: grid.dataset.detailsPath || 'data/projects/'
+        });
+    }
+
+    // ===== PROJECT DEEP LINKS & URL STATE =====
+    setupProjectDeepLinks() {
+        this.lastAppliedHash = null;
+        this.isRestoringFilterState = false;
+        this.lastFilterState = this.projectFilter.getState();
+
+        // Mirror filter changes into the URL hash
+        document.addEventListener('projectfilterchange', (e) => {
+            if (this.isRestoringFilterState) return;
+
+            const { state } = e.detail;
+            const queryString = this.projectFilter.toQueryString(state);
+            const hash = queryString ? `#projects?${queryString}` : '#projects';
+
+            if (hash !== window.location.hash) {
+                // Typing in the search box replaces the entry instead of flooding history
+                const onlyQueryChanged = this.lastFilterState &&
+                    state.category === this.lastFilterState.category &&
+                    state.mode === this.lastFilterState.mode &&
+                    state.technologies.join(',') === this.lastFilterState.technologies.join(',');
+                const method = onlyQueryChanged ? 'replaceState' : 'pushState';
+
+                history[method](null, '', hash);
             }
+
+            this.lastAppliedHash = hash;
+            this.lastFilterState = state;
         });
-        
-        // Update status
-        if (statusCount) {
-            statusCount.textContent = visibleCount;
+
+        // Back/forward and manually edited hashes
+        window.addEventListener('popstate', () => this.applyLocationHash());
+        window.addEventListener('hashchange', () => this.applyLocationHash());
+
+        this.applyLocationHash({ initial: true });
+    }
+
+    applyLocationHash({ initial = false } = {}) {
+        const hash = window.location.hash;
+        if (hash === this.lastAppliedHash) return;
+        this.lastAppliedHash = hash;
+
+        const projectsSection = document.getElementById('projects');
+
+        if (hash === '#projects' || hash.startsWith('#projects?')) {
+            const state = ProjectFilter.parseQueryString(hash.slice('#projects?'.length));
+            this.restoreFilterState(state);
+
+            if (initial && projectsSection) {
+                this.scrollToElement(projectsSection);
+            }
+            return;
         }
-        
-        if (statusText) {
-            const filterText = filter === 'all' ? 'all' : filter;
-            statusText.innerHTML = `Showing <span class="status-count">${visibleCount}</span> projects`;
+
+        if (hash.startsWith('#project-')) {
+            const card = document.getElementById(hash.slice(1));
+            if (card && card.classList.contains('project-card')) {
+                this.revealProject(card);
+            }
+            return;
         }
-        
-        // Add staggered animation delay for visible cards
-        const visibleCards = document.querySelectorAll('.project-card.modern-card.visible');
-        visibleCards.forEach((card, index) => {
-            card.style.animationDelay = `${index * 0.1}s`;
+
+        // Leaving a filtered URL (e.g. back to '#about' or no hash) restores the full list
+        if (!initial) {
+            this.restoreFilterState(ProjectFilter.parseQueryString(''));
+        }
+    }
+
+    restoreFilterState(state) {
+        this.isRestoringFilterState = true;
+        this.projectFilter.setState(state);
+        this.isRestoringFilterState = false;
+        this.lastFilterState = this.projectFilter.getState();
+    }
+
+    revealProject(card) {
+        // Make sure the card is not hidden by the current filters
+        if (card.classList.contains('hidden')) {
+            this.restoreFilterState({
+                ...ProjectFilter.parseQueryString(''),
+                sort: this.projectFilter.getState().sort
+            });
+        }
+
+        this.scrollToElement(card);
+
+        card.classList.remove('project-highlight');
+        // Force reflow so the highlight animation restarts on repeated links
+        void card.offsetWidth;
+        card.classList.add('project-highlight');
+
+        setTimeout(() => {
+            card.classList.remove('project-highlight');
+        }, 2500);
+    }
+
+    scrollToElement(element) {
+        const header = document.querySelector('.modern-header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        const targetPosition = element.getBoundingClientRect().top + window.pageYOffset - headerHeight - 16;
+
+        window.scrollTo({
+            top: targetPosition,
+            behavior: 'smooth'
         });
     }
 
@@ -911,6 +1909,17 @@ class PortfolioApp {
     }
 }
 
+// Second key of the 'g <key>' section shortcuts
+PortfolioApp.SECTION_SHORTCUTS = {
+    home: 'h',
+    about: 'a',
+    skills: 's',
+    education: 'e',
+    certifications: 'r',
+    projects: 'p',
+    contact: 'c'
+};
+
 // ===== SERVICE WORKER REGISTRATION =====
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
@@ -935,7 +1944,7 @@ window.addEventListener('unhandledrejection', (e) => {
 
 // ===== INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', () => {
-    new PortfolioApp();
+    window.portfolioApp = new PortfolioApp();
 });
 
 // Export for use in other modules
@@ -0,0 +1,78 @@
+/**
+ * PORTFOLIO WEBSITE - OFFLINE MESSAGE QUEUE
+ * =========================================
+ *
+ * IndexedDB-backed outbox for contact form messages submitted while offline.
+ * This file is shared by the page (PortfolioApp) and the service worker
+ * (sw.js loads it with importScripts), so it only relies on APIs available
+ * in both contexts.
+ *
+ * QUEUE ENTRIES:
+ * - url, method, headers, body: a ready-to-send request built by ContactService
+ * - subject: used in the delivery notification
+ * - queuedAt: timestamp of when the visitor pressed "Send"
+ *
+ * FLOW:
+ * 1. PortfolioApp stores the request here and registers a 'background-sync'
+ * 2. sw.js replays every entry in doBackgroundSync() when connectivity returns
+ * 3. Delivered entries are removed and open pages are notified via postMessage
+ */
+
+class MessageQueue {
+    constructor(dbName = 'portfolio-outbox', storeName = 'messages') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    withStore(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    add(entry) {
+        return this.withStore('readwrite', store => store.add({
+            ...entry,
+            queuedAt: Date.now()
+        }));
+    }
+
+    getAll() {
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    remove(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    }
+}
+
+// Export for the page and the service worker
+self.MessageQueue = MessageQueue;
@@ -0,0 +1,441 @@
+/**
+ * PORTFOLIO WEBSITE - PROJECT FILTER
+ * ==================================
+ *
+ * Combines several criteria to decide which project cards are visible:
+ * - Category buttons (.filter-btn[data-filter])
+ * - Technology chips generated from the union of every card's data-technologies
+ * - Free-text search over project titles and descriptions
+ *
+ * It also orders the visible cards with the sort select (#project-sort).
+ *
+ * MATCHING RULES:
+ * - Category, technologies and search text are always combined with AND
+ * - Technology chips use OR ("any") or AND ("all") depending on the mode toggle
+ * - Search text is split into words; every word must appear (case-insensitive)
+ *
+ * LIVE COUNTS:
+ * - Each category button shows how many projects it would show with the
+ *   current technology and search criteria
+ * - Each technology chip shows how many projects in the current category and
+ *   search results use that technology
+ *
+ * SORT MODES:
+ * - featured:     cards flagged data-featured first, then source order
+ * - newest/oldest: by data-date (the project's end date, YYYY-MM)
+ * - alphabetical: by project title
+ * - category:     by category label, then title
+ * - Reordering is animated with AnimationController.flip() when available
+ *
+ * URL STATE:
+ * - toQueryString()/parseQueryString() convert the state to and from the
+ *   query part of a '#projects?category=development&tech=java' hash
+ * - Default values are omitted so the plain '#projects' link means "show all"
+ *
+ * EVENTS:
+ * - 'projectfilterchange' is dispatched on document after every update, with
+ *   detail { state, visibleCount, totalCount }
+ */
+
+class ProjectFilter {
+    constructor(options = {}) {
+        this.grid = options.grid || document.getElementById('projects-grid');
+        this.filterButtons = Array.from(options.filterButtons || document.querySelectorAll('.filter-btn[data-filter]'));
+        this.searchInput = options.searchInput || document.getElementById('project-search');
+        this.chipContainer = options.chipContainer || document.getElementById('tech-chips');
+        this.modeButtons = Array.from(options.modeButtons || document.querySelectorAll('.tech-mode-btn'));
+        this.clearButton = options.clearButton || document.querySelector('.tech-filter-clear');
+        this.sortSelect = options.sortSelect || document.getElementById('project-sort');
+
+        this.state = {
+            category: 'all',
+            technologies: [],
+            query: '',
+            mode: 'any',
+            sort: ProjectFilter.DEFAULT_SORT
+        };
+
+        this.cards = [];
+        this.isReady = false;
+        this.technologyNames = new Map();
+        this.init();
+    }
+
+    init() {
+        this.indexCards();
+        this.renderTechnologyChips();
+        this.setupEventListeners();
+        this.apply();
+        this.isReady = true;
+    }
+
+    // ===== CARD INDEX =====
+    indexCards() {
+        const cards = this.grid ? this.grid.querySelectorAll('.project-card') : [];
+
+        this.cards = Array.from(cards).map((card, index) => {
+            const title = card.querySelector('.project-title');
+            const description = card.querySelector('.project-description');
+            const badge = card.querySelector('.badge-text');
+
+            return {
+                element: card,
+                index,
+                title: title ? title.textContent.trim() : '',
+                categoryLabel: badge ? badge.textContent.trim() : card.dataset.category,
+                date: card.dataset.date || '',
+                featured: card.dataset.featured === 'true',
+                category: card.dataset.category,
+                technologies: (card.dataset.technologies || '').split(',').filter(Boolean),
+                text: `${title ? title.textContent : ''} ${description ? description.textContent : ''}`.toLowerCase()
+            };
+        });
+
+        // Display names come from the rendered tech tags
+        this.technologyNames.clear();
+        this.cards.forEach(({ element }) => {
+            element.querySelectorAll('.tech-tag[data-technology]').forEach(tag => {
+                if (!this.technologyNames.has(tag.dataset.technology)) {
+                    this.technologyNames.set(tag.dataset.technology, tag.textContent.trim());
+                }
+            });
+        });
+    }
+
+    getAllTechnologies() {
+        const technologies = new Set();
+        this.cards.forEach(card => card.technologies.forEach(tech => technologies.add(tech)));
+
+        return Array.from(technologies).sort((a, b) =>
+            this.getTechnologyName(a).localeCompare(this.getTechnologyName(b))
+        );
+    }
+
+    getTechnologyName(id) {
+        return this.technologyNames.get(id) || id;
+    }
+
+    // ===== TECHNOLOGY CHIPS =====
+    renderTechnologyChips() {
+        if (!this.chipContainer) return;
+
+        const esc = escapeHTML;
+        this.chipContainer.innerHTML = this.getAllTechnologies().map(tech => `
+            <button type="button" class="tech-chip" data-technology="${esc(tech)}" aria-pressed="false">
+                <span class="tech-chip-name">${esc(this.getTechnologyName(tech))}</span>
+                <span class="tech-chip-count"></span>
+            </button>`).join('');
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        this.filterButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setState({ category: button.dataset.filter });
+            });
+        });
+
+        if (this.chipContainer) {
+            this.chipContainer.addEventListener('click', (e) => {
+                const chip = e.target.closest('.tech-chip');
+                if (chip) {
+                    this.toggleTechnology(chip.dataset.technology);
+                }
+            });
+        }
+
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setState({ mode: button.dataset.mode });
+            });
+        });
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => {
+                this.setState({ technologies: [] });
+            });
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => {
+                this.setState({ sort: this.sortSelect.value });
+            });
+        }
+
+        if (this.searchInput) {
+            let searchTimeout;
+            this.searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    this.setState({ query: this.searchInput.value });
+                }, 150);
+            });
+        }
+    }
+
+    // ===== STATE =====
+    getState() {
+        return {
+            ...this.state,
+            technologies: [...this.state.technologies]
+        };
+    }
+
+    setState(partial) {
+        this.state = {
+            ...this.state,
+            ...partial
+        };
+
+        if (this.state.mode !== 'all') {
+            this.state.mode = 'any';
+        }
+        if (!ProjectFilter.SORT_MODES.includes(this.state.sort)) {
+            this.state.sort = ProjectFilter.DEFAULT_SORT;
+        }
+
+        this.apply();
+    }
+
+    toggleTechnology(tech) {
+        const technologies = this.state.technologies.includes(tech)
+            ? this.state.technologies.filter(item => item !== tech)
+            : [...this.state.technologies, tech];
+
+        this.setState({ technologies });
+    }
+
+    reset() {
+        this.setState({ category: 'all', technologies: [], query: '', mode: 'any', sort: ProjectFilter.DEFAULT_SORT });
+    }
+
+    // ===== URL SERIALIZATION =====
+    toQueryString(state = this.state) {
+        const params = new URLSearchParams();
+
+        if (state.category && state.category !== 'all') {
+            params.set('category', state.category);
+        }
+        if (state.technologies.length > 0) {
+            params.set('tech', state.technologies.join(','));
+        }
+        if (state.mode === 'all') {
+            params.set('mode', 'all');
+        }
+        if (state.query.trim()) {
+            params.set('q', state.query.trim());
+        }
+        if (state.sort && state.sort !== ProjectFilter.DEFAULT_SORT) {
+            params.set('sort', state.sort);
+        }
+
+        return params.toString();
+    }
+
+    static parseQueryString(queryString) {
+        const params = new URLSearchParams(queryString);
+
+        return {
+            category: params.get('category') || 'all',
+            technologies: (params.get('tech') || '').split(',').filter(Boolean),
+            mode: params.get('mode') === 'all' ? 'all' : 'any',
+            query: params.get('q') || '',
+            sort: ProjectFilter.SORT_MODES.includes(params.get('sort')) ? params.get('sort') : ProjectFilter.DEFAULT_SORT
+        };
+    }
+
+    // ===== MATCHING =====
+    matchesCategory(card, category) {
+        return category === 'all' || card.category === category;
+    }
+
+    matchesTechnologies(card, technologies, mode) {
+        if (technologies.length === 0) return true;
+
+        return mode === 'all'
+            ? technologies.every(tech => card.technologies.includes(tech))
+            : technologies.some(tech => card.technologies.includes(tech));
+    }
+
+    matchesQuery(card, query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return words.every(word => card.text.includes(word));
+    }
+
+    matches(card, state = this.state) {
+        return this.matchesCategory(card, state.category) &&
+            this.matchesTechnologies(card, state.technologies, state.mode) &&
+            this.matchesQuery(card, state.query);
+    }
+
+    // ===== SORTING =====
+    compare(a, b, sort = this.state.sort) {
+        let result = 0;
+
+        switch (sort) {
+            case 'newest':
+                result = b.date.localeCompare(a.date);
+                break;
+            case 'oldest':
+                result = a.date.localeCompare(b.date);
+                break;
+            case 'alphabetical':
+                result = a.title.localeCompare(b.title);
+                break;
+            case 'category':
+                result = a.categoryLabel.localeCompare(b.categoryLabel) || a.title.localeCompare(b.title);
+                break;
+            default:
+                result = Number(b.featured) - Number(a.featured);
+        }
+
+        // Fall back to source order so sorting is stable
+        return result || a.index - b.index;
+    }
+
+    sortCards() {
+        const sorted = [...this.cards].sort((a, b) => this.compare(a, b));
+        if (!this.grid) return sorted;
+
+        const current = Array.from(this.grid.querySelectorAll('.project-card'));
+        if (!sorted.every((card, index) => card.element === current[index])) {
+            sorted.forEach(card => this.grid.appendChild(card.element));
+        }
+
+        return sorted;
+    }
+
+    // ===== RENDERING =====
+    apply() {
+        let visibleCount = 0;
+
+        const update = () => {
+            this.sortCards().forEach(card => {
+                const element = card.element;
+
+                if (this.matches(card)) {
+                    element.classList.remove('hidden');
+                    element.classList.add('visible');
+                    element.style.animation = 'fadeInUp 0.6s ease-out';
+                    element.style.animationDelay = `${visibleCount * 0.1}s`;
+                    visibleCount++;
+                } else {
+                    element.classList.add('hidden');
+                    element.classList.remove('visible');
+                }
+            });
+        };
+
+        // Animate cards that stay visible into their new slots
+        const animator = window.animationController;
+        if (this.isReady && animator && typeof animator.flip === 'function') {
+            animator.flip(this.cards.map(card => card.element), update);
+        } else {
+            update();
+        }
+
+        this.updateControls();
+        this.updateCounts();
+        this.updateStatus(visibleCount);
+
+        document.dispatchEvent(new CustomEvent('projectfilterchange', {
+            detail: {
+                state: this.getState(),
+                visibleCount,
+                totalCount: this.cards.length
+            }
+        }));
+    }
+
+    updateControls() {
+        const { category, technologies, mode, query, sort } = this.state;
+
+        this.filterButtons.forEach(button => {
+            const isActive = button.dataset.filter === category;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        if (this.chipContainer) {
+            this.chipContainer.querySelectorAll('.tech-chip').forEach(chip => {
+                const isSelected = technologies.includes(chip.dataset.technology);
+                chip.classList.toggle('active', isSelected);
+                chip.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+            });
+        }
+
+        this.modeButtons.forEach(button => {
+            const isActive = button.dataset.mode === mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        if (this.clearButton) {
+            this.clearButton.disabled = technologies.length === 0;
+        }
+
+        if (this.sortSelect && this.sortSelect.value !== sort) {
+            this.sortSelect.value = sort;
+        }
+
+        if (this.searchInput && this.searchInput.value !== query && document.activeElement !== this.searchInput) {
+            this.searchInput.value = query;
+        }
+    }
+
+    updateCounts() {
+        // Category counts honour the technology and search criteria
+        this.filterButtons.forEach(button => {
+            const state = { ...this.state, category: button.dataset.filter };
+            const count = this.cards.filter(card => this.matches(card, state)).length;
+
+            button.dataset.count = count;
+            const countElement = button.querySelector('.filter-count');
+            if (countElement) {
+                countElement.textContent = count;
+            }
+        });
+
+        // Chip counts honour the category and search criteria
+        if (this.chipContainer) {
+            const candidates = this.cards.filter(card =>
+                this.matchesCategory(card, this.state.category) && this.matchesQuery(card, this.state.query)
+            );
+
+            this.chipContainer.querySelectorAll('.tech-chip').forEach(chip => {
+                const count = candidates.filter(card => card.technologies.includes(chip.dataset.technology)).length;
+                const countElement = chip.querySelector('.tech-chip-count');
+                if (countElement) {
+                    countElement.textContent = count;
+                }
+                chip.classList.toggle('empty', count === 0);
+            });
+        }
+    }
+
+    updateStatus(visibleCount) {
+        document.querySelectorAll('.status-count').forEach(element => {
+            element.textContent = visibleCount;
+        });
+
+        if (!this.grid) return;
+
+        let emptyMessage = this.grid.querySelector('.projects-no-results');
+        if (visibleCount === 0 && this.cards.length > 0) {
+            if (!emptyMessage) {
+                emptyMessage = document.createElement('p');
+                emptyMessage.className = 'projects-empty projects-no-results';
+                emptyMessage.textContent = 'No projects match these filters. Try removing a technology or changing your search.';
+                this.grid.appendChild(emptyMessage);
+            }
+        } else if (emptyMessage) {
+            emptyMessage.remove();
+        }
+    }
+}
+
+ProjectFilter.SORT_MODES = ['featured', 'newest', 'oldest', 'alphabetical', 'category'];
+ProjectFilter.DEFAULT_SORT = 'featured';
+
+// Export for use in other modules
+window.ProjectFilter = ProjectFilter;
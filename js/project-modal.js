@@ -0,0 +1,347 @@
+/**
+ * PORTFOLIO WEBSITE - PROJECT DETAIL MODAL
+ * ========================================
+ *
+ * Shows a case study for a project when its card is clicked. The grid only
+ * carries the summary from data/projects.json; the long-form content (role,
+ * challenge, approach, outcome, highlights, screenshots) lives in
+ * data/projects/<id>.json and is fetched the first time a project is opened.
+ *
+ * ACCESSIBILITY:
+ * - role="dialog" with aria-modal, labelled by the project title
+ * - Focus is trapped inside the dialog while it is open
+ * - Escape closes the dialog and focus returns to the element that opened it
+ * - Left/Right arrow keys move to the previous/next project in the current filter
+ * - Body scroll is locked while the dialog is open
+ *
+ * EVENTS:
+ * - 'projectmodalopen' / 'projectmodalclose' are dispatched on document
+ *   with detail { projectId }
+ */
+
+class ProjectModal {
+    constructor(options = {}) {
+        this.modal = options.modal || document.getElementById('project-modal');
+        this.grid = options.grid || document.getElementById('projects-grid');
+        this.projects = options.projects || [];
+        this.categories = options.categories || {};
+        this.detailsPath = options.detailsPath || 'data/projects/';
+
+        this.detailsCache = new Map();
+        this.currentProjectId = null;
+        this.previouslyFocused = null;
+
+        if (this.modal) {
+            this.dialog = this.modal.querySelector('.project-modal-dialog');
+            this.body = this.modal.querySelector('.project-modal-body');
+            this.title = this.modal.querySelector('.project-modal-title');
+            this.position = this.modal.querySelector('.project-modal-position');
+            this.init();
+        }
+    }
+
+    init() {
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.setupEventListeners();
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        // Open from anywhere on a card except its own links and buttons
+        if (this.grid) {
+            this.grid.addEventListener('click', (e) => {
+                const detailsButton = e.target.closest('.project-details-btn');
+                const card = e.target.closest('.project-card');
+                if (!card) return;
+
+                if (detailsButton || !e.target.closest('a, button')) {
+                    e.preventDefault();
+                    this.open(card.dataset.projectId, detailsButton || card);
+                }
+            });
+        }
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-modal-close]')) {
+                this.close();
+                return;
+            }
+
+            const navButton = e.target.closest('[data-direction]');
+            if (navButton) {
+                this.navigate(parseInt(navButton.dataset.direction));
+                return;
+            }
+
+            const thumbnail = e.target.closest('.project-gallery-thumb');
+            if (thumbnail) {
+                this.showGalleryImage(parseInt(thumbnail.dataset.index));
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                if (!this.isTypingTarget(e.target)) {
+                    e.preventDefault();
+                    this.navigate(-1);
+                }
+                break;
+            case 'ArrowRight':
+                if (!this.isTypingTarget(e.target)) {
+                    e.preventDefault();
+                    this.navigate(1);
+                }
+                break;
+            case 'Tab':
+                FocusTrap.handleTab(e, this.dialog);
+                break;
+        }
+    }
+
+    isTypingTarget(element) {
+        return element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+    }
+
+    // ===== OPEN / CLOSE =====
+    isOpen() {
+        return !this.modal.hidden;
+    }
+
+    open(projectId, opener = null) {
+        const project = this.getProject(projectId);
+        if (!project) return;
+
+        if (!this.isOpen()) {
+            this.previouslyFocused = opener || document.activeElement;
+            this.modal.hidden = false;
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', this.handleKeydown);
+
+            // Let the browser paint the hidden -> visible change before animating
+            requestAnimationFrame(() => this.modal.classList.add('open'));
+        }
+
+        this.currentProjectId = projectId;
+        this.renderSummary(project);
+        this.loadDetails(project);
+        this.dialog.focus();
+
+        document.dispatchEvent(new CustomEvent('projectmodalopen', {
+            detail: { projectId }
+        }));
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        const projectId = this.currentProjectId;
+
+        this.modal.classList.remove('open');
+        this.modal.hidden = true;
+        document.body.classList.remove('modal-open');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.currentProjectId = null;
+
+        if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+            this.previouslyFocused.focus();
+        }
+        this.previouslyFocused = null;
+
+        document.dispatchEvent(new CustomEvent('projectmodalclose', {
+            detail: { projectId }
+        }));
+    }
+
+    // ===== NAVIGATION =====
+    getNavigableIds() {
+        if (!this.grid) return this.projects.map(project => project.id);
+
+        // Follow the grid's current filter and order
+        return Array.from(this.grid.querySelectorAll('.project-card:not(.hidden)'))
+            .map(card => card.dataset.projectId);
+    }
+
+    navigate(direction) {
+        const ids = this.getNavigableIds();
+        if (ids.length === 0) return;
+
+        const currentIndex = ids.indexOf(this.currentProjectId);
+        const nextIndex = (currentIndex + direction + ids.length) % ids.length;
+        this.open(ids[nextIndex]);
+    }
+
+    // ===== DATA =====
+    getProject(projectId) {
+        return this.projects.find(project => project.id === projectId);
+    }
+
+    fetchDetails(projectId) {
+        if (!this.detailsCache.has(projectId)) {
+            const request = fetch(`${this.detailsPath}${encodeURIComponent(projectId)}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load details for ${projectId}: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Allow a retry next time the project is opened
+                    this.detailsCache.delete(projectId);
+                    throw error;
+                });
+
+            this.detailsCache.set(projectId, request);
+        }
+        return this.detailsCache.get(projectId);
+    }
+
+    loadDetails(project) {
+        this.body.setAttribute('aria-busy', 'true');
+        this.body.innerHTML = `
+            <p class="project-modal-loading">
+                <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading case study...
+            </p>`;
+
+        this.fetchDetails(project.id)
+            .then(details => {
+                // Ignore responses for a project the visitor already navigated away from
+                if (this.currentProjectId === project.id) {
+                    this.renderDetails(project, details);
+                }
+            })
+            .catch(error => {
+                console.error(error);
+                if (this.currentProjectId === project.id) {
+                    this.body.innerHTML = `
+                        <p class="project-modal-summary">${escapeHTML(project.description)}</p>
+                        <p class="project-modal-error">The full case study could not be loaded. Please try again later.</p>`;
+                }
+            })
+            .finally(() => {
+                this.body.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    // ===== RENDERING =====
+    renderSummary(project) {
+        const esc = escapeHTML;
+        const hero = this.modal.querySelector('.project-modal-hero');
+        const category = this.modal.querySelector('.project-modal-category');
+
+        this.title.textContent = project.title;
+
+        if (hero) {
+            hero.className = `project-modal-hero bg-gradient-to-br ${project.gradient || ''}`;
+            hero.innerHTML = `<i class="${esc(project.icon)}" aria-hidden="true"></i>`;
+        }
+
+        if (category) {
+            category.textContent = this.categories[project.category] || project.category;
+        }
+
+        const ids = this.getNavigableIds();
+        const index = ids.indexOf(project.id);
+        if (this.position) {
+            this.position.textContent = index >= 0 ? `Project ${index + 1} of ${ids.length}` : '';
+        }
+    }
+
+    renderDetails(project, details) {
+        const esc = escapeHTML;
+        const technologies = (project.technologies || [])
+            .map(tech => `<span class="tech-tag" data-technology="${esc(tech.id)}">${esc(tech.name)}</span>`)
+            .join('');
+        const links = (project.links || [])
+            .map(link => `
+                <a href="${esc(link.url)}" class="project-link-footer" target="_blank" rel="noopener">
+                    <i class="${esc(link.icon)}" aria-hidden="true"></i>
+                    <span>${esc(link.label)}</span>
+                </a>`)
+            .join('');
+        const highlights = (details.highlights || [])
+            .map(item => `<li>${esc(item)}</li>`)
+            .join('');
+
+        this.body.innerHTML = `
+            <p class="project-modal-summary">${esc(details.summary || project.description)}</p>
+
+            <dl class="project-modal-facts">
+                <div>
+                    <dt>Role</dt>
+                    <dd>${esc(details.role || '—')}</dd>
+                </div>
+                <div>
+                    <dt>Timeline</dt>
+                    <dd>${esc(this.formatTimeline(project.startDate, project.endDate))}</dd>
+                </div>
+            </dl>
+
+            ${this.renderGallery(details.gallery || [], project.title)}
+
+            ${details.challenge ? `<h3>The Challenge</h3><p>${esc(details.challenge)}</p>` : ''}
+            ${details.approach ? `<h3>Approach</h3><p>${esc(details.approach)}</p>` : ''}
+            ${highlights ? `<h3>Highlights</h3><ul class="project-modal-highlights">${highlights}</ul>` : ''}
+            ${details.outcome ? `<h3>Outcome</h3><p>${esc(details.outcome)}</p>` : ''}
+
+            <div class="tech-tags">${technologies}</div>
+            <div class="project-links-footer project-modal-links">${links}</div>`;
+    }
+
+    renderGallery(gallery, projectTitle) {
+        if (gallery.length === 0) return '';
+
+        const esc = escapeHTML;
+        const thumbnails = gallery.map((image, index) => `
+            <button type="button" class="project-gallery-thumb${index === 0 ? ' active' : ''}" data-index="${index}" aria-label="Show screenshot ${index + 1} of ${gallery.length}" aria-pressed="${index === 0}">
+                <img src="${esc(image.src)}" alt="" loading="lazy">
+            </button>`).join('');
+
+        this.gallery = gallery;
+
+        return `
+            <figure class="project-gallery">
+                <img class="project-gallery-main" src="${esc(gallery[0].src)}" alt="${esc(gallery[0].alt || projectTitle)}">
+                <figcaption class="project-gallery-caption">${esc(gallery[0].caption || '')}</figcaption>
+                ${gallery.length > 1 ? `<div class="project-gallery-thumbs">${thumbnails}</div>` : ''}
+            </figure>`;
+    }
+
+    showGalleryImage(index) {
+        const image = this.gallery && this.gallery[index];
+        if (!image) return;
+
+        const main = this.body.querySelector('.project-gallery-main');
+        const caption = this.body.querySelector('.project-gallery-caption');
+
+        main.src = image.src;
+        main.alt = image.alt || '';
+        caption.textContent = image.caption || '';
+
+        this.body.querySelectorAll('.project-gallery-thumb').forEach(thumb => {
+            const isActive = parseInt(thumb.dataset.index) === index;
+            thumb.classList.toggle('active', isActive);
+            thumb.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+
+    formatTimeline(startDate, endDate) {
+        const format = (value) => {
+            if (!value) return 'Present';
+            const [year, month] = value.split('-').map(Number);
+            if (!month) return String(year);
+            return new Date(year, month - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+        };
+
+        if (!startDate) return '—';
+        return `${format(startDate)} – ${format(endDate)}`;
+    }
+}
+
+// Export for use in other modules
+window.ProjectModal = ProjectModal;
@@ -0,0 +1,264 @@
+/**
+ * PORTFOLIO WEBSITE - SECTION SPY
+ * ===============================
+ *
+ * Keeps the navigation in sync with the section the visitor is reading.
+ * A registry is built from the page's <section id> elements (home, about,
+ * skills, education, certifications, projects, contact) and a single
+ * IntersectionObserver decides which one is active - no work is done on
+ * individual scroll events.
+ *
+ * HOW THE ACTIVE SECTION IS CHOSEN:
+ * - The observer watches a thin band across the upper part of the viewport
+ *   (rootMargin '-40% 0px -55% 0px'); the section crossing it is active
+ * - While a nav link scrolls the page (activate()), intermediate sections are
+ *   ignored until scrolling settles, so the highlight does not flicker
+ *
+ * NAVIGATION STATE:
+ * - Matching .nav-link and .mobile-nav-link elements get the 'active' class
+ *   and aria-current="location"
+ * - The URL hash is updated with history.replaceState, which never scrolls
+ *   and never adds history entries
+ * - Hash updates start after the first visitor interaction, so deep links
+ *   such as '#project-<id>' survive the initial page load
+ * - A hash that already points inside the active section (e.g.
+ *   '#projects?category=design') is left alone; options.hashFor(id) can
+ *   supply a richer hash for a section
+ *
+ * HOOKS:
+ * - onSectionEnter(callback) / onSectionLeave(callback) register listeners
+ *   called with (section, otherSection); both return an unsubscribe function
+ * - 'sectionenter' and 'sectionleave' events are also dispatched on document
+ *   with detail { id, section, previousId / nextId }
+ */
+
+class SectionSpy {
+    constructor(options = {}) {
+        this.options = {
+            selector: 'section[id]',
+            linkSelector: '.nav-link, .mobile-nav-link',
+            rootMargin: '-40% 0px -55% 0px',
+            updateHash: true,
+            hashFor: null,
+            ...options
+        };
+
+        this.sections = new Map();
+        this.visible = new Set();
+        this.activeId = null;
+        this.pendingId = null;
+        this.hashUpdatesEnabled = false;
+        this.listeners = {
+            enter: new Set(),
+            leave: new Set()
+        };
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll(this.options.selector).forEach(element => this.register(element));
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(this.handleIntersections.bind(this), {
+                rootMargin: this.options.rootMargin,
+                threshold: 0
+            });
+            this.sections.forEach(section => this.observer.observe(section.element));
+        }
+
+        this.setupEventListeners();
+    }
+
+    // ===== REGISTRY =====
+    register(element) {
+        const id = element.id;
+        if (!id || this.sections.has(id)) return this.sections.get(id);
+
+        const labelId = element.getAttribute('aria-labelledby');
+        const heading = (labelId && document.getElementById(labelId)) || element.querySelector('h1, h2');
+
+        const section = {
+            id,
+            element,
+            label: heading ? heading.textContent.trim().replace(/\s+/g, ' ') : id,
+            links: Array.from(document.querySelectorAll(this.options.linkSelector))
+                .filter(link => link.getAttribute('href') === `#${id}`)
+        };
+
+        this.sections.set(id, section);
+        if (this.observer) {
+            this.observer.observe(element);
+        }
+
+        return section;
+    }
+
+    getSections() {
+        return Array.from(this.sections.values());
+    }
+
+    getSection(id) {
+        return this.sections.get(id) || null;
+    }
+
+    getActiveSection() {
+        return this.getSection(this.activeId);
+    }
+
+    // Section that contains the element a hash points to ('#project-x' -> projects)
+    getSectionForHash(hash) {
+        let id;
+        try {
+            id = decodeURIComponent((hash || '').slice(1).split('?')[0]);
+        } catch (error) {
+            // Malformed escapes such as '#%E0'
+            return null;
+        }
+        if (!id) return null;
+        if (this.sections.has(id)) return this.sections.get(id);
+
+        const target = document.getElementById(id);
+        if (!target) return null;
+
+        return this.getSections().find(section => section.element.contains(target)) || null;
+    }
+
+    // ===== HOOKS =====
+    onSectionEnter(callback) {
+        this.listeners.enter.add(callback);
+        return () => this.listeners.enter.delete(callback);
+    }
+
+    onSectionLeave(callback) {
+        this.listeners.leave.add(callback);
+        return () => this.listeners.leave.delete(callback);
+    }
+
+    emit(type, section, otherSection) {
+        this.listeners[type].forEach(callback => {
+            try {
+                callback(section, otherSection);
+            } catch (error) {
+                console.error(`Section ${type} hook failed:`, error);
+            }
+        });
+
+        const detail = { id: section.id, section };
+        detail[type === 'enter' ? 'previousId' : 'nextId'] = otherSection ? otherSection.id : null;
+
+        document.dispatchEvent(new CustomEvent(`section${type}`, { detail }));
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        // Only real visitor input turns on hash updates (see header comment)
+        const enableHashUpdates = () => {
+            this.hashUpdatesEnabled = true;
+        };
+        ['wheel', 'touchstart', 'keydown', 'pointerdown'].forEach(type => {
+            window.addEventListener(type, enableHashUpdates, { once: true, passive: true });
+        });
+
+        // Release a nav-link lock once the smooth scroll has settled
+        let settleTimeout;
+        window.addEventListener('scroll', () => {
+            if (!this.pendingId) return;
+            clearTimeout(this.releaseTimeout);
+            clearTimeout(settleTimeout);
+            settleTimeout = setTimeout(() => this.release(), 150);
+        }, { passive: true });
+    }
+
+    // ===== ACTIVE SECTION =====
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                this.visible.add(entry.target.id);
+            } else {
+                this.visible.delete(entry.target.id);
+            }
+        });
+
+        if (!this.pendingId) {
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        // Registry order is document order; the first section in the band wins
+        const current = this.getSections().find(section => this.visible.has(section.id));
+        if (current) {
+            this.setActive(current.id);
+        }
+    }
+
+    activate(id) {
+        if (!this.sections.has(id)) return;
+
+        this.pendingId = id;
+        this.setActive(id);
+
+        // If the page cannot scroll any further no scroll event will release the lock
+        clearTimeout(this.releaseTimeout);
+        this.releaseTimeout = setTimeout(() => {
+            if (this.pendingId === id) this.release();
+        }, 1500);
+    }
+
+    release() {
+        clearTimeout(this.releaseTimeout);
+        this.pendingId = null;
+        this.refresh();
+    }
+
+    setActive(id) {
+        if (id === this.activeId) return;
+
+        const previous = this.getActiveSection();
+        const next = this.getSection(id);
+        this.activeId = id;
+
+        // Every link, not just the previous section's: the markup ships with Home active
+        this.getSections().forEach(section => {
+            section.links.forEach(link => {
+                link.classList.remove('active');
+                link.removeAttribute('aria-current');
+            });
+        });
+
+        if (previous) {
+            this.emit('leave', previous, next);
+        }
+
+        next.links.forEach(link => {
+            link.classList.add('active');
+            link.setAttribute('aria-current', 'location');
+        });
+
+        this.updateHash(next);
+        this.emit('enter', next, previous);
+    }
+
+    updateHash(section) {
+        if (!this.options.updateHash || !this.hashUpdatesEnabled) return;
+
+        // Keep hashes that already point inside this section (filters, deep links)
+        const hashSection = this.getSectionForHash(window.location.hash);
+        if (hashSection && hashSection.id === section.id) return;
+
+        const hash = (this.options.hashFor && this.options.hashFor(section.id)) || `#${section.id}`;
+        history.replaceState(history.state, '', hash);
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        this.listeners.enter.clear();
+        this.listeners.leave.clear();
+    }
+}
+
+// Export for use in other modules
+window.SectionSpy = SectionSpy;
@@ -0,0 +1,484 @@
+/**
+ * PORTFOLIO WEBSITE - KEYBOARD SHORTCUTS
+ * ======================================
+ *
+ * Central registry for the site's keyboard shortcuts. Features register an
+ * action under a stable id with a default binding; visitors can remap any
+ * binding from the help overlay (press '?').
+ *
+ * BINDINGS:
+ * - A binding is one or two chords separated by a space: 't', '/', 'g p'
+ * - Chords may carry modifiers in the order ctrl+alt+meta+shift, e.g.
+ *   'ctrl+k'; shift is only written for named keys ('shift+arrowdown'),
+ *   printable characters already include it ('?', 'A')
+ * - Two-chord bindings must be completed within SEQUENCE_TIMEOUT
+ * - Defaults avoid browser shortcuts (no Ctrl/Cmd+letter), with one
+ *   deliberate exception: the command palette takes Ctrl+K / Cmd+K, the
+ *   usual palette key, over the browser's address-bar search
+ *
+ * REMAPPING:
+ * - Overrides are stored in localStorage ('shortcut-bindings') as
+ *   { id: binding }; defaults are never written
+ * - A binding conflicts with another when it is equal to it or one is the
+ *   first chord of the other ('g' vs 'g p'); conflicting remaps are rejected
+ *
+ * SUPPRESSION:
+ * - Shortcuts are ignored while typing in inputs, textareas, selects and
+ *   contenteditable elements, unless registered with allowInInputs
+ * - A shortcut's optional when() guard can disable it (e.g. behind a dialog)
+ *
+ * ACCESSIBILITY:
+ * - The help overlay is a modal dialog with a focus trap; Escape closes it
+ *   and focus returns to where it was
+ */
+
+class ShortcutRegistry {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'shortcut-bindings';
+        this.overlay = options.overlay || document.getElementById('shortcut-help');
+
+        this.shortcuts = new Map();
+        this.overrides = this.loadOverrides();
+        this.pendingChord = null;
+        this.pendingTimeout = null;
+        this.recordingId = null;
+        this.previouslyFocused = null;
+
+        this.init();
+    }
+
+    init() {
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleOverlayKeydown = this.handleOverlayKeydown.bind(this);
+        document.addEventListener('keydown', this.handleKeydown);
+
+        if (this.overlay) {
+            this.dialog = this.overlay.querySelector('.shortcut-help-dialog');
+            this.listElement = this.overlay.querySelector('.shortcut-help-list');
+            this.status = this.overlay.querySelector('.shortcut-help-status');
+            this.setupOverlay();
+        }
+
+        this.register('help', {
+            label: 'Show keyboard shortcuts',
+            group: 'General',
+            keys: '?',
+            action: () => this.toggleHelp()
+        });
+    }
+
+    // ===== REGISTRY =====
+    register(id, { label, group = 'General', keys, action, when = null, allowInInputs = false }) {
+        if (typeof action !== 'function') {
+            throw new TypeError(`Shortcut "${id}" needs an action`);
+        }
+
+        this.shortcuts.set(id, {
+            id,
+            label: label || id,
+            group,
+            defaultKeys: ShortcutRegistry.normalizeBinding(keys),
+            action,
+            when,
+            allowInInputs
+        });
+
+        if (this.isHelpOpen()) {
+            this.renderHelp();
+        }
+        return this.shortcuts.get(id);
+    }
+
+    unregister(id) {
+        return this.shortcuts.delete(id);
+    }
+
+    getBinding(id) {
+        const shortcut = this.shortcuts.get(id);
+        if (!shortcut) return null;
+        return id in this.overrides ? this.overrides[id] : shortcut.defaultKeys;
+    }
+
+    list() {
+        return Array.from(this.shortcuts.values()).map(shortcut => ({
+            id: shortcut.id,
+            label: shortcut.label,
+            group: shortcut.group,
+            keys: this.getBinding(shortcut.id),
+            customized: shortcut.id in this.overrides
+        }));
+    }
+
+    // Shortcut whose binding collides with `keys`, ignoring `exceptId`
+    findConflict(keys, exceptId = null) {
+        const chords = keys.split(' ');
+
+        return this.list().find(shortcut => {
+            if (shortcut.id === exceptId || !shortcut.keys) return false;
+            const other = shortcut.keys.split(' ');
+            const shared = Math.min(chords.length, other.length);
+            return chords.slice(0, shared).join(' ') === other.slice(0, shared).join(' ');
+        }) || null;
+    }
+
+    // ===== REMAPPING =====
+    bind(id, keys) {
+        if (!this.shortcuts.has(id)) {
+            throw new Error(`Unknown shortcut "${id}"`);
+        }
+
+        const binding = ShortcutRegistry.normalizeBinding(keys);
+        if (!binding) {
+            throw new Error('A shortcut needs at least one key');
+        }
+
+        const conflict = this.findConflict(binding, id);
+        if (conflict) {
+            throw new Error(`${ShortcutRegistry.formatBinding(binding)} is already used by "${conflict.label}"`);
+        }
+
+        if (binding === this.shortcuts.get(id).defaultKeys) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = binding;
+        }
+        this.saveOverrides();
+        return binding;
+    }
+
+    resetBinding(id) {
+        delete this.overrides[id];
+        this.saveOverrides();
+    }
+
+    resetAll() {
+        this.overrides = {};
+        this.saveOverrides();
+    }
+
+    loadOverrides() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Could not load shortcut bindings:', error);
+            return {};
+        }
+    }
+
+    saveOverrides() {
+        try {
+            if (Object.keys(this.overrides).length > 0) {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not save shortcut bindings:', error);
+        }
+    }
+
+    // ===== KEY HANDLING =====
+    handleKeydown(e) {
+        if (e.defaultPrevented || this.recordingId) return;
+
+        const chord = ShortcutRegistry.chordFromEvent(e);
+        if (!chord) return;
+
+        const typing = this.isTypingTarget(e.target);
+        const sequence = this.pendingChord ? `${this.pendingChord} ${chord}` : null;
+        this.clearPendingChord();
+
+        const match = (sequence && this.findByBinding(sequence)) || this.findByBinding(chord);
+        if (match) {
+            if (typing && !match.allowInInputs) return;
+            // Only the help shortcut itself works while the overlay is open
+            if (this.isHelpOpen() && match.id !== 'help') return;
+            if (match.when && !match.when()) return;
+
+            e.preventDefault();
+            match.action(e);
+            return;
+        }
+
+        // First chord of a two-chord binding: wait for the second
+        if (!typing && this.isSequenceStart(chord)) {
+            e.preventDefault();
+            this.pendingChord = chord;
+            this.pendingTimeout = setTimeout(() => this.clearPendingChord(), ShortcutRegistry.SEQUENCE_TIMEOUT);
+        }
+    }
+
+    findByBinding(keys) {
+        return Array.from(this.shortcuts.values()).find(shortcut => this.getBinding(shortcut.id) === keys) || null;
+    }
+
+    isSequenceStart(chord) {
+        return this.list().some(shortcut => shortcut.keys && shortcut.keys.startsWith(`${chord} `));
+    }
+
+    clearPendingChord() {
+        clearTimeout(this.pendingTimeout);
+        this.pendingChord = null;
+    }
+
+    isTypingTarget(element) {
+        return Boolean(element) && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+    }
+
+    // ===== HELP OVERLAY =====
+    setupOverlay() {
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target.closest('[data-shortcut-close]')) {
+                this.closeHelp();
+                return;
+            }
+
+            const changeButton = e.target.closest('[data-shortcut-change]');
+            if (changeButton) {
+                this.startRecording(changeButton.dataset.shortcutChange);
+                return;
+            }
+
+            const resetButton = e.target.closest('[data-shortcut-reset]');
+            if (resetButton) {
+                const id = resetButton.dataset.shortcutReset;
+                if (id) {
+                    this.resetBinding(id);
+                } else {
+                    this.resetAll();
+                }
+                this.renderHelp();
+                this.setStatus('Shortcuts reset.');
+            }
+        });
+    }
+
+    isHelpOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    toggleHelp() {
+        if (this.isHelpOpen()) {
+            this.closeHelp();
+        } else {
+            this.openHelp();
+        }
+    }
+
+    openHelp() {
+        if (!this.overlay || this.isHelpOpen()) return;
+
+        this.previouslyFocused = document.activeElement;
+        this.renderHelp();
+        this.setStatus('');
+        this.overlay.hidden = false;
+        document.body.classList.add('modal-open');
+        document.addEventListener('keydown', this.handleOverlayKeydown);
+        this.dialog.focus();
+    }
+
+    closeHelp() {
+        if (!this.isHelpOpen()) return;
+
+        this.stopRecording();
+        this.overlay.hidden = true;
+        document.body.classList.remove('modal-open');
+        document.removeEventListener('keydown', this.handleOverlayKeydown);
+
+        if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+            this.previouslyFocused.focus();
+        }
+        this.previouslyFocused = null;
+    }
+
+    renderHelp() {
+        if (!this.listElement) return;
+
+        const groups = new Map();
+        this.list().forEach(shortcut => {
+            if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+            groups.get(shortcut.group).push(shortcut);
+        });
+
+        this.listElement.innerHTML = Array.from(groups.entries()).map(([group, shortcuts]) => `
+            <section class="shortcut-group">
+                <h3 class="shortcut-group-title">${escapeHTML(group)}</h3>
+                <dl class="shortcut-rows">
+                    ${shortcuts.map(shortcut => `
+                        <div class="shortcut-row${shortcut.id === this.recordingId ? ' recording' : ''}">
+                            <dt>${escapeHTML(shortcut.label)}</dt>
+                            <dd>
+                                ${shortcut.id === this.recordingId
+                                    ? '<span class="shortcut-recording">Press keys…</span>'
+                                    : this.renderBinding(shortcut.keys)}
+                                <button type="button" class="shortcut-action" data-shortcut-change="${shortcut.id}"
+                                    aria-label="Change shortcut for ${escapeHTML(shortcut.label)}">Change</button>
+                                ${shortcut.customized ? `
+                                    <button type="button" class="shortcut-action" data-shortcut-reset="${shortcut.id}"
+                                        aria-label="Reset shortcut for ${escapeHTML(shortcut.label)}">Reset</button>
+                                ` : ''}
+                            </dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            </section>
+        `).join('');
+    }
+
+    renderBinding(keys) {
+        if (!keys) return '<span class="shortcut-unbound">Not set</span>';
+
+        return keys.split(' ').map(chord =>
+            chord.split('+').map(key => `<kbd>${escapeHTML(ShortcutRegistry.formatKey(key))}</kbd>`).join('+')
+        ).join(' <span class="shortcut-then">then</span> ');
+    }
+
+    setStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    handleOverlayKeydown(e) {
+        if (this.recordingId) {
+            this.recordKey(e);
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeHelp();
+        } else if (e.key === 'Tab') {
+            FocusTrap.handleTab(e, this.dialog);
+        }
+    }
+
+    // ===== RECORDING A NEW BINDING =====
+    startRecording(id) {
+        this.stopRecording();
+        this.recordingId = id;
+        this.recordedChords = [];
+        this.renderHelp();
+        this.setStatus('Press the new shortcut, or Escape to cancel.');
+    }
+
+    stopRecording() {
+        clearTimeout(this.recordingTimeout);
+        const id = this.recordingId;
+        this.recordingId = null;
+        this.recordedChords = [];
+        return id;
+    }
+
+    recordKey(e) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            const id = this.stopRecording();
+            this.renderHelp();
+            this.focusChangeButton(id);
+            this.setStatus('Unchanged.');
+            return;
+        }
+
+        const chord = ShortcutRegistry.chordFromEvent(e);
+        if (!chord) return;
+
+        // Allow a second chord for sequences; commit after a short pause
+        this.recordedChords.push(chord);
+        clearTimeout(this.recordingTimeout);
+        if (this.recordedChords.length < 2) {
+            this.recordingTimeout = setTimeout(() => this.commitRecording(), ShortcutRegistry.SEQUENCE_TIMEOUT);
+        } else {
+            this.commitRecording();
+        }
+    }
+
+    commitRecording() {
+        const keys = this.recordedChords.join(' ');
+        const id = this.stopRecording();
+        if (!id) return;
+
+        try {
+            const binding = this.bind(id, keys);
+            this.setStatus(`"${this.shortcuts.get(id).label}" is now ${ShortcutRegistry.formatBinding(binding)}.`);
+        } catch (error) {
+            this.setStatus(error.message);
+        }
+
+        this.renderHelp();
+        this.focusChangeButton(id);
+    }
+
+    focusChangeButton(id) {
+        const button = this.listElement && this.listElement.querySelector(`[data-shortcut-change="${id}"]`);
+        if (button) {
+            button.focus();
+        }
+    }
+
+    // ===== UTILITIES =====
+    static chordFromEvent(e) {
+        if (['Control', 'Alt', 'Meta', 'Shift', 'CapsLock', 'Dead', 'Unidentified'].includes(e.key)) {
+            return null;
+        }
+
+        const named = e.key.length > 1 || e.key === ' ';
+        const key = e.key === ' ' ? 'space' : (named ? e.key.toLowerCase() : e.key);
+        const modifiers = [];
+        if (e.ctrlKey) modifiers.push('ctrl');
+        if (e.altKey) modifiers.push('alt');
+        if (e.metaKey) modifiers.push('meta');
+        if (e.shiftKey && named) modifiers.push('shift');
+
+        return [...modifiers, key].join('+');
+    }
+
+    static normalizeBinding(keys) {
+        if (!keys) return '';
+
+        return String(keys).trim().split(/\s+/).slice(0, 2).map(chord => {
+            const parts = chord.split('+');
+            // A lone '+' key splits into empty parts
+            const key = parts.pop() || '+';
+            const modifiers = ShortcutRegistry.MODIFIERS.filter(modifier =>
+                parts.map(part => part.toLowerCase()).includes(modifier)
+            );
+            return [...modifiers, key.length > 1 ? key.toLowerCase() : key].join('+');
+        }).join(' ');
+    }
+
+    static formatKey(key) {
+        if (ShortcutRegistry.KEY_LABELS[key]) return ShortcutRegistry.KEY_LABELS[key];
+        // Bindings keep the typed character, so 'A' means Shift+A
+        if (/^[A-Z]$/.test(key)) return `Shift+${key}`;
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    static formatBinding(keys) {
+        return keys.split(' ')
+            .map(chord => chord.split('+').map(ShortcutRegistry.formatKey).join('+'))
+            .join(' then ');
+    }
+}
+
+ShortcutRegistry.SEQUENCE_TIMEOUT = 1000;
+ShortcutRegistry.MODIFIERS = ['ctrl', 'alt', 'meta', 'shift'];
+ShortcutRegistry.KEY_LABELS = {
+    ctrl: 'Ctrl',
+    alt: 'Alt',
+    meta: '⌘',
+    shift: 'Shift',
+    space: 'Space',
+    escape: 'Esc',
+    enter: 'Enter',
+    arrowup: '↑',
+    arrowdown: '↓',
+    arrowleft: '←',
+    arrowright: '→'
+};
+
+// Export for use in other modules
+window.ShortcutRegistry = ShortcutRegistry;
@@ -0,0 +1,529 @@
+/**
+ * PORTFOLIO WEBSITE - SITE SEARCH
+ * ===============================
+ *
+ * Full-text search over everything on the page. An index is built once the
+ * page (and the project catalog) has rendered; results are ranked, matches are
+ * highlighted in place, and the visitor can step through them like a
+ * find-in-page bar.
+ *
+ * WHAT IS INDEXED (SiteSearch.SOURCES):
+ * - Section headings and subtitles
+ * - Projects: title, description and tech tags
+ * - Skills: technical skills (with category, level and the project
+ *   technologies they cover, e.g. MSSQL for SQL) and soft skills
+ * - Education and certification entries
+ *
+ * RANKING:
+ * - Text is split into terms that keep '#', '+' and '.' so 'C#' and
+ *   'Node.js' stay searchable; every query term must match (AND)
+ * - Query terms match index terms by prefix; exact terms score higher
+ * - Scores weigh the field (title 3, tags 2, body 1), term frequency and
+ *   how rare the term is across the page (idf)
+ *
+ * IN-PAGE HIGHLIGHTING:
+ * - Matches inside every result are wrapped in <mark class="search-hit">
+ * - Enter / Shift+Enter (or the arrow buttons) move between matches; the
+ *   current one gets 'current' and is scrolled into view
+ * - Down arrow moves from the input into the result list; Escape closes
+ * - options.reveal(element) is called first so hidden results (filtered-out
+ *   projects) can be shown
+ * - Closing the search removes every mark and restores the text nodes
+ */
+
+class SiteSearch {
+    constructor(options = {}) {
+        this.container = options.container || document.getElementById('site-search');
+        this.reveal = options.reveal || (() => {});
+        this.sources = options.sources || SiteSearch.SOURCES;
+
+        this.documents = [];
+        this.index = new Map();
+        this.results = [];
+        this.hits = [];
+        this.currentHit = -1;
+        this.previouslyFocused = null;
+
+        if (this.container) {
+            this.input = this.container.querySelector('.site-search-input');
+            this.count = this.container.querySelector('.site-search-count');
+            this.resultsList = this.container.querySelector('.site-search-results');
+            this.init();
+        }
+    }
+
+    init() {
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.setupEventListeners();
+        this.build();
+    }
+
+    // ===== INDEX =====
+    build() {
+        this.documents = [];
+        this.index = new Map();
+
+        this.sources.forEach(source => {
+            document.querySelectorAll(source.selector).forEach(element => {
+                const fields = source.fields(element);
+                if (!fields || !fields.title) return;
+
+                const doc = {
+                    id: this.documents.length,
+                    type: source.type,
+                    label: source.label,
+                    title: fields.title,
+                    body: fields.body || '',
+                    tags: fields.tags || [],
+                    element: fields.scope || element
+                };
+                this.documents.push(doc);
+                this.indexDocument(doc);
+            });
+        });
+
+        return this.documents.length;
+    }
+
+    indexDocument(doc) {
+        const fields = {
+            title: doc.title,
+            tags: doc.tags.join(' '),
+            body: doc.body
+        };
+
+        Object.entries(fields).forEach(([field, text]) => {
+            SiteSearch.tokenize(text).forEach(term => {
+                if (!this.index.has(term)) this.index.set(term, new Map());
+                const postings = this.index.get(term);
+                const key = `${doc.id}:${field}`;
+                postings.set(key, (postings.get(key) || 0) + 1);
+            });
+        });
+    }
+
+    static tokenize(text) {
+        return (String(text || '').toLowerCase().match(/[\p{L}\p{N}#+.]+/gu) || [])
+            .map(term => term.replace(/^\.+|\.+$/g, ''))
+            .filter(Boolean);
+    }
+
+    // ===== QUERYING =====
+    search(query) {
+        const terms = [...new Set(SiteSearch.tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const total = this.documents.length;
+        let scores = null;
+
+        terms.forEach(term => {
+            const termScores = new Map();
+
+            this.index.forEach((postings, indexTerm) => {
+                if (!indexTerm.startsWith(term)) return;
+
+                const documentsWithTerm = new Set(Array.from(postings.keys()).map(key => key.split(':')[0])).size;
+                const idf = Math.log(1 + total / documentsWithTerm);
+                const exact = indexTerm === term ? 1.5 : 1;
+
+                postings.forEach((frequency, key) => {
+                    const [id, field] = key.split(':');
+                    const score = SiteSearch.FIELD_WEIGHTS[field] * (1 + Math.log(frequency)) * idf * exact;
+                    termScores.set(Number(id), (termScores.get(Number(id)) || 0) + score);
+                });
+            });
+
+            // Every term has to match somewhere in the document
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                scores = new Map(Array.from(scores).filter(([id]) => termScores.has(id))
+                    .map(([id, score]) => [id, score + termScores.get(id)]));
+            }
+        });
+
+        return Array.from(scores)
+            .map(([id, score]) => ({ doc: this.documents[id], score }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // ===== EVENT LISTENERS =====
+    setupEventListeners() {
+        let debounceTimer;
+        this.container.addEventListener('keydown', this.handleKeydown);
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => this.run(this.input.value), 150);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const stepButton = e.target.closest('[data-search-step]');
+            if (stepButton) {
+                this.step(parseInt(stepButton.dataset.searchStep));
+                return;
+            }
+
+            if (e.target.closest('[data-search-close]')) {
+                this.close();
+                return;
+            }
+
+            const result = e.target.closest('[data-result]');
+            if (result) {
+                this.goToResult(parseInt(result.dataset.result));
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.target === this.input) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                // Flush a pending debounced search before stepping
+                if (this.lastQuery !== this.input.value) this.run(this.input.value);
+                this.step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'ArrowDown') {
+                const first = this.resultsList.querySelector('[data-result]');
+                if (first) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+            return;
+        }
+
+        const result = e.target.closest && e.target.closest('[data-result]');
+        if (result && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+            e.preventDefault();
+            const buttons = Array.from(this.resultsList.querySelectorAll('[data-result]'));
+            const index = buttons.indexOf(result) + (e.key === 'ArrowDown' ? 1 : -1);
+            if (index < 0) {
+                this.input.focus();
+            } else if (buttons[index]) {
+                buttons[index].focus();
+            }
+        }
+    }
+
+    // ===== OPEN / CLOSE =====
+    isOpen() {
+        return Boolean(this.container) && !this.container.hidden;
+    }
+
+    open(query = null) {
+        if (!this.container) return;
+
+        if (!this.isOpen()) {
+            this.previouslyFocused = document.activeElement;
+            this.container.hidden = false;
+        }
+
+        if (query !== null) {
+            this.input.value = query;
+            this.run(query);
+        }
+        this.input.focus();
+        this.input.select();
+
+        document.dispatchEvent(new CustomEvent('sitesearchopen'));
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.clearHighlights();
+        if (this.container.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.container.hidden = true;
+        this.resultsList.innerHTML = '';
+        this.count.textContent = '';
+        this.input.value = '';
+        this.lastQuery = '';
+
+        if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+            this.previouslyFocused.focus();
+        }
+        this.previouslyFocused = null;
+
+        document.dispatchEvent(new CustomEvent('sitesearchclose'));
+    }
+
+    // ===== RESULTS =====
+    run(query) {
+        this.lastQuery = query;
+        this.clearHighlights();
+        this.results = this.search(query);
+
+        if (this.results.length > 0) {
+            this.highlight(query, this.results.map(result => result.doc));
+        }
+
+        this.renderResults(query);
+        this.updateCount(query);
+    }
+
+    renderResults(query) {
+        const terms = SiteSearch.tokenize(query);
+
+        this.resultsList.innerHTML = this.results.map((result, index) => `
+            <li>
+                <button type="button" class="site-search-result" data-result="${index}">
+                    <span class="site-search-result-type">${escapeHTML(result.doc.label)}</span>
+                    <span class="site-search-result-title">${this.markTerms(result.doc.title, terms)}</span>
+                    ${result.doc.body ? `<span class="site-search-result-snippet">${this.markTerms(this.snippet(result.doc.body, terms), terms)}</span>` : ''}
+                </button>
+            </li>
+        `).join('');
+    }
+
+    goToResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const firstHit = this.hits.findIndex(hit => result.doc.element.contains(hit));
+        if (firstHit !== -1) {
+            this.setCurrentHit(firstHit);
+        } else {
+            this.reveal(result.doc.element);
+            result.doc.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    step(direction) {
+        if (this.hits.length === 0) return;
+
+        const next = this.currentHit === -1
+            ? (direction > 0 ? 0 : this.hits.length - 1)
+            : (this.currentHit + direction + this.hits.length) % this.hits.length;
+        this.setCurrentHit(next);
+    }
+
+    setCurrentHit(index) {
+        if (this.hits[this.currentHit]) {
+            this.hits[this.currentHit].classList.remove('current');
+        }
+
+        this.currentHit = index;
+        const hit = this.hits[index];
+        hit.classList.add('current');
+
+        this.reveal(hit);
+        hit.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.updateCount(this.lastQuery);
+    }
+
+    updateCount(query) {
+        if (!query || !query.trim()) {
+            this.count.textContent = '';
+        } else if (this.results.length === 0) {
+            this.count.textContent = 'No results';
+        } else {
+            const position = this.currentHit === -1 ? '' : `${this.currentHit + 1} of `;
+            const results = `${this.results.length} ${this.results.length === 1 ? 'result' : 'results'}`;
+            this.count.textContent = `${position}${this.hits.length} ${this.hits.length === 1 ? 'match' : 'matches'} in ${results}`;
+        }
+    }
+
+    // ===== HIGHLIGHTING =====
+    highlight(query, docs) {
+        const pattern = SiteSearch.termPattern(SiteSearch.tokenize(query));
+        if (!pattern) return;
+
+        docs.forEach(doc => {
+            const walker = document.createTreeWalker(doc.element, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.parentElement.closest('script, style, mark.search-hit, [aria-hidden="true"]')
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT
+            });
+
+            const textNodes = [];
+            while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+            textNodes.forEach(node => this.wrapMatches(node, pattern));
+        });
+
+        // Document order, so stepping follows the page
+        this.hits = Array.from(document.querySelectorAll('mark.search-hit'));
+        this.currentHit = -1;
+    }
+
+    wrapMatches(node, pattern) {
+        const text = node.nodeValue;
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) return;
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        pattern.lastIndex = 0;
+
+        text.replace(pattern, (match, offset) => {
+            fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            mark.textContent = match;
+            fragment.appendChild(mark);
+            last = offset + match.length;
+            return match;
+        });
+
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        node.parentNode.replaceChild(fragment, node);
+    }
+
+    clearHighlights() {
+        const parents = new Set();
+
+        document.querySelectorAll('mark.search-hit').forEach(mark => {
+            parents.add(mark.parentNode);
+            mark.replaceWith(document.createTextNode(mark.textContent));
+        });
+        parents.forEach(parent => parent.normalize());
+
+        this.hits = [];
+        this.currentHit = -1;
+    }
+
+    // Matches any term at the start of a word; longer terms first so 'c#' wins over 'c'
+    static termPattern(terms) {
+        if (terms.length === 0) return null;
+
+        const alternatives = [...new Set(terms)]
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+    }
+
+    // ===== UTILITIES =====
+    snippet(text, terms, radius = 60) {
+        const pattern = SiteSearch.termPattern(terms);
+        const match = pattern ? pattern.exec(text) : null;
+        if (!match || text.length <= radius * 2) {
+            return text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text;
+        }
+
+        const start = Math.max(0, match.index - radius);
+        const end = Math.min(text.length, match.index + radius);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    markTerms(text, terms) {
+        const pattern = SiteSearch.termPattern(terms);
+        const escaped = escapeHTML(text);
+        if (!pattern) return escaped;
+
+        // Match on the raw text, then escape each piece
+        let html = '';
+        let last = 0;
+        text.replace(pattern, (match, offset) => {
+            html += `${escapeHTML(text.slice(last, offset))}<mark>${escapeHTML(match)}</mark>`;
+            last = offset + match.length;
+            return match;
+        });
+        return html + escapeHTML(text.slice(last));
+    }
+}
+
+SiteSearch.FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    body: 1
+};
+
+// ===== INDEXED CONTENT =====
+SiteSearch.SOURCES = [
+    {
+        type: 'section',
+        label: 'Section',
+        selector: 'main section[id]',
+        fields: section => {
+            const heading = section.querySelector('h1, h2');
+            if (!heading) return null;
+            const subtitle = section.querySelector('.section-title-subtitle');
+            // Highlight the heading block only; the section's entries are indexed on their own
+            const header = heading.closest('.section-title') ||
+                (subtitle && subtitle.parentElement === heading.parentElement ? heading.parentElement : heading);
+            return {
+                title: SiteSearch.text(heading),
+                body: SiteSearch.text(subtitle),
+                scope: header
+            };
+        }
+    },
+    {
+        type: 'project',
+        label: 'Project',
+        selector: '#projects-grid .project-card',
+        fields: card => ({
+            title: SiteSearch.text(card.querySelector('.project-title')),
+            body: SiteSearch.text(card.querySelector('.project-description')),
+            tags: Array.from(card.querySelectorAll('.tech-tag, .badge-text')).map(SiteSearch.text)
+        })
+    },
+    {
+        type: 'skill',
+        label: 'Skill',
+        selector: '#skills .skill-item',
+        fields: item => {
+            const category = item.closest('.skill-category');
+            return {
+                title: SiteSearch.text(item.querySelector('.skill-name')),
+                tags: [
+                    SiteSearch.text(category && category.querySelector('h3')),
+                    SiteSearch.text(item.querySelector('.skill-percentage')),
+                    // Technology ids the skill covers (SkillsView), so 'MSSQL' finds SQL
+                    ...(item.dataset.technologies || '').split(',').filter(Boolean)
+                ]
+            };
+        }
+    },
+    {
+        type: 'skill',
+        label: 'Soft skill',
+        selector: '#skills .soft-skill-card',
+        fields: card => ({
+            title: SiteSearch.text(card.querySelector('.soft-skill-name')),
+            body: SiteSearch.text(card.querySelector('.soft-skill-description'))
+        })
+    },
+    {
+        type: 'education',
+        label: 'Education',
+        selector: '#education .education-card',
+        fields: card => ({
+            title: SiteSearch.text(card.querySelector('h3')),
+            body: SiteSearch.text(card.querySelector('.education-description')),
+            tags: [
+                SiteSearch.text(card.querySelector('.institution')),
+                SiteSearch.text(card.querySelector('.period')),
+                ...Array.from(card.querySelectorAll('.module-name')).map(SiteSearch.text)
+            ]
+        })
+    },
+    {
+        type: 'certification',
+        label: 'Certification',
+        selector: '#certifications .cert-card',
+        fields: card => ({
+            title: SiteSearch.text(card.querySelector('.cert-title')),
+            body: SiteSearch.text(card.querySelector('.cert-description')),
+            tags: [
+                SiteSearch.text(card.querySelector('.cert-issuer')),
+                ...Array.from(card.querySelectorAll('.cert-skill')).map(SiteSearch.text)
+            ]
+        })
+    }
+];
+
+SiteSearch.text = element => (element ? element.textContent.trim().replace(/\s+/g, ' ') : '');
+
+// Export for use in other modules
+window.SiteSearch = SiteSearch;
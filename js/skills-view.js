@@ -0,0 +1,351 @@
+/**
+ * PORTFOLIO WEBSITE - SKILLS VIEW
+ * ===============================
+ *
+ * Renders the skills section from data/skills.json. Skills are data - name,
+ * category, level and years - so the bar width, the level label and the ARIA
+ * values always agree.
+ *
+ * DATA (data/skills.json):
+ * - levels: { id: { label, value } } - value is the 0-100 bar width
+ * - categories: { id: label } in display order
+ * - skills: [{ id, name, category, level, years?, technologies? }]
+ *   Skill ids match the technology ids in data/projects.json; `technologies`
+ *   lists extra project technology ids that count as this skill
+ * - softSkills: [{ name, description, icon }]
+ *
+ * VIEWS (switched with the [data-skills-view] buttons, remembered in
+ * localStorage 'skills-view'):
+ * - bars: a card per category with one progressbar per skill
+ * - radar: an SVG radar chart of the average level per category
+ * - cloud: every skill as a tag, sized by level
+ *
+ * ANIMATION:
+ * - Each category's bars fill from zero and their percentages count up the
+ *   first time it scrolls into view (AnimationController.observeProgressBars)
+ *
+ * PROJECT LINKS:
+ * - setProjectLinks() adds a "N projects" link under each bar; PortfolioApp
+ *   works out the counts and filter URLs from the project cards
+ *
+ * All views are rendered once and toggled with `hidden`, so links into a
+ * skill and the site search index stay valid. The accent colors come from
+ * ThemeManager.getComponentColors() and are re-applied on 'themechange'.
+ */
+
+class SkillsView {
+    constructor(options = {}) {
+        this.container = options.container || document.getElementById('skills-views');
+        this.softContainer = options.softContainer || document.getElementById('soft-skills-grid');
+        this.switcher = options.switcher || document.querySelector('.skills-view-switch');
+        this.data = options.data || { levels: {}, categories: {}, skills: [], softSkills: [] };
+
+        this.view = this.getStoredView() || 'bars';
+
+        if (this.container) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.render();
+        this.setupEventListeners();
+        this.setView(this.view, { store: false });
+        this.applyColors();
+        this.animateBars();
+    }
+
+    // ===== DATA =====
+    getLevel(skill) {
+        return this.data.levels[skill.level] || { label: skill.level, value: 0 };
+    }
+
+    getSkill(id) {
+        return this.data.skills.find(skill => skill.id === id) || null;
+    }
+
+    // Project technology ids that demonstrate the skill
+    getTechnologies(skill) {
+        return [skill.id, ...(skill.technologies || [])];
+    }
+
+    getSkillForTechnology(technology) {
+        return this.data.skills.find(skill => this.getTechnologies(skill).includes(technology)) || null;
+    }
+
+    getSkillElement(id) {
+        return this.container.querySelector(`#skill-${this.slug(id)}`);
+    }
+
+    getCategories() {
+        return Object.entries(this.data.categories)
+            .map(([id, label]) => ({
+                id,
+                label,
+                skills: this.data.skills.filter(skill => skill.category === id)
+            }))
+            .filter(category => category.skills.length > 0);
+    }
+
+    getCategoryAverage(category) {
+        const total = category.skills.reduce((sum, skill) => sum + this.getLevel(skill).value, 0);
+        return Math.round(total / category.skills.length);
+    }
+
+    // ===== RENDERING =====
+    render() {
+        this.container.innerHTML = `
+            <div class="skills-view skills-grid" data-view="bars" role="list" aria-label="Technical skills categories">
+                ${this.getCategories().map(category => this.renderCategory(category)).join('')}
+            </div>
+            <div class="skills-view skills-radar" data-view="radar" hidden>
+                ${this.renderRadar()}
+            </div>
+            <div class="skills-view skills-cloud" data-view="cloud" hidden>
+                ${this.renderCloud()}
+            </div>
+        `;
+
+        if (this.softContainer) {
+            this.softContainer.innerHTML = (this.data.softSkills || []).map(skill => this.renderSoftSkill(skill)).join('');
+        }
+    }
+
+    renderCategory(category) {
+        const esc = escapeHTML;
+
+        return `
+                <div class="skill-category" role="listitem" data-category="${esc(category.id)}">
+                    <h3>${esc(category.label)}</h3>
+                    <div class="space-y-4">${category.skills.map(skill => this.renderSkill(skill)).join('')}
+                    </div>
+                </div>`;
+    }
+
+    renderSkill(skill) {
+        const esc = escapeHTML;
+        const level = this.getLevel(skill);
+        const years = skill.years ? ` · ${skill.years} ${skill.years === 1 ? 'yr' : 'yrs'}` : '';
+
+        return `
+                        <div class="skill-item" id="skill-${esc(this.slug(skill.id))}" data-skill="${esc(skill.id)}" data-technologies="${esc(this.getTechnologies(skill).join(','))}">
+                            <div class="skill-header">
+                                <span class="skill-name">${esc(skill.name)}</span>
+                                <span class="skill-level">
+                                    <span class="skill-percentage">${esc(level.label)}${esc(years)}</span>
+                                    <span class="skill-value" aria-hidden="true"><span class="skill-counter">${level.value}</span>%</span>
+                                </span>
+                            </div>
+                            <div class="skill-bar" role="progressbar" aria-valuenow="${level.value}" aria-valuemin="0" aria-valuemax="100" aria-valuetext="${esc(level.label)}" aria-label="${esc(skill.name)} skill level">
+                                <div class="skill-progress" data-progress="${level.value}" style="width: ${level.value}%"></div>
+                            </div>
+                        </div>`;
+    }
+
+    renderRadar() {
+        const esc = escapeHTML;
+        const categories = this.getCategories();
+        if (categories.length < 3) return '';
+
+        const size = 360;
+        const center = size / 2;
+        const radius = 120;
+        const point = (index, value) => {
+            const angle = (Math.PI * 2 * index) / categories.length - Math.PI / 2;
+            return [
+                Math.round((center + Math.cos(angle) * radius * value / 100) * 10) / 10,
+                Math.round((center + Math.sin(angle) * radius * value / 100) * 10) / 10
+            ];
+        };
+
+        const rings = [25, 50, 75, 100].map(value =>
+            `<polygon class="skills-radar-ring" points="${categories.map((_, index) => point(index, value).join(',')).join(' ')}"></polygon>`
+        ).join('');
+
+        const axes = categories.map((category, index) => {
+            const [x, y] = point(index, 100);
+            const [labelX, labelY] = point(index, 118);
+            const anchor = Math.abs(labelX - center) < 1 ? 'middle' : (labelX > center ? 'start' : 'end');
+            return `
+                    <line class="skills-radar-axis" x1="${center}" y1="${center}" x2="${x}" y2="${y}"></line>
+                    <text class="skills-radar-label" x="${labelX}" y="${labelY}" text-anchor="${anchor}" dominant-baseline="middle">${esc(category.label)}</text>`;
+        }).join('');
+
+        const averages = categories.map(category => this.getCategoryAverage(category));
+        const shape = averages.map((value, index) => point(index, value).join(',')).join(' ');
+        const dots = averages.map((value, index) => {
+            const [x, y] = point(index, value);
+            return `<circle class="skills-radar-dot" cx="${x}" cy="${y}" r="4"><title>${esc(categories[index].label)}: ${value}%</title></circle>`;
+        }).join('');
+
+        return `
+                <figure class="skills-radar-figure">
+                    <svg class="skills-radar-chart" viewBox="-70 0 ${size + 140} ${size}" aria-hidden="true" focusable="false">
+                        ${rings}${axes}
+                        <polygon class="skills-radar-shape" points="${shape}"></polygon>
+                        ${dots}
+                    </svg>
+                    <figcaption class="sr-only">
+                        Average skill level per category: ${categories.map((category, index) => `${esc(category.label)} ${averages[index]}%`).join(', ')}.
+                    </figcaption>
+                </figure>`;
+    }
+
+    renderCloud() {
+        const esc = escapeHTML;
+
+        return `
+                <ul class="skills-cloud-list" aria-label="All skills by level">
+                    ${this.data.skills.map(skill => {
+                        const level = this.getLevel(skill);
+                        // 0.85rem for the lowest level up to 1.6rem for the highest
+                        const size = (0.85 + (level.value / 100) * 0.75).toFixed(2);
+                        return `<li class="skills-cloud-tag" data-skill="${esc(skill.id)}" data-value="${level.value}" style="font-size: ${size}rem" title="${esc(level.label)}">${esc(skill.name)}<span class="sr-only">, ${esc(level.label)}</span></li>`;
+                    }).join('')}
+                </ul>`;
+    }
+
+    renderSoftSkill(skill) {
+        const esc = escapeHTML;
+
+        return `
+                    <div class="soft-skill-card">
+                        <div class="soft-skill-icon">
+                            <i class="${esc(skill.icon)}" aria-hidden="true"></i>
+                        </div>
+                        <h4 class="soft-skill-name">${esc(skill.name)}</h4>
+                        <p class="soft-skill-description">${esc(skill.description)}</p>
+                    </div>`;
+    }
+
+    // `links` maps skill ids to { count, href }
+    setProjectLinks(links) {
+        const esc = escapeHTML;
+
+        this.container.querySelectorAll('.skill-item').forEach(item => {
+            const skill = this.getSkill(item.dataset.skill);
+            const link = links.get(item.dataset.skill) || { count: 0 };
+            let footer = item.querySelector('.skill-projects');
+
+            if (!footer) {
+                footer = document.createElement('div');
+                footer.className = 'skill-projects';
+                item.appendChild(footer);
+            }
+
+            const label = `${link.count} ${link.count === 1 ? 'project' : 'projects'}`;
+            footer.innerHTML = link.count > 0
+                ? `<a href="${esc(link.href)}" class="skill-projects-link" data-skill="${esc(skill.id)}" aria-label="Show ${label} using ${esc(skill.name)}">${label}</a>`
+                : `<span class="skill-projects-none">No projects yet</span>`;
+        });
+    }
+
+    // ===== VIEWS =====
+    setupEventListeners() {
+        if (this.switcher) {
+            this.switcher.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-skills-view]');
+                if (button) {
+                    this.setView(button.dataset.skillsView);
+                }
+            });
+        }
+
+        // Re-color the bars, radar and cloud with the new palette
+        document.addEventListener('themechange', (e) => {
+            this.applyColors(e.detail && e.detail.theme);
+        });
+    }
+
+    setView(view, { store = true } = {}) {
+        if (!SkillsView.VIEWS.includes(view)) return;
+
+        this.view = view;
+        this.container.querySelectorAll('.skills-view').forEach(panel => {
+            panel.hidden = panel.dataset.view !== view;
+        });
+
+        if (this.switcher) {
+            this.switcher.querySelectorAll('[data-skills-view]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.skillsView === view));
+            });
+        }
+
+        if (store) {
+            try {
+                localStorage.setItem('skills-view', view);
+            } catch (error) {
+                console.warn('Could not save skills view:', error);
+            }
+        }
+
+        document.dispatchEvent(new CustomEvent('skillsviewchange', { detail: { view } }));
+    }
+
+    getStoredView() {
+        try {
+            const view = localStorage.getItem('skills-view');
+            return SkillsView.VIEWS.includes(view) ? view : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Switches to the view that contains `element`, e.g. a search hit in a hidden panel
+    reveal(element) {
+        const panel = element.closest('.skills-view');
+        if (panel && panel.hidden && this.container.contains(panel)) {
+            this.setView(panel.dataset.view);
+        }
+    }
+
+    // ===== BAR ANIMATION =====
+    // Bars are rendered at their final width; AnimationController restarts them
+    // from zero per category as each one scrolls into view (bars stay put when
+    // the controller is missing or motion is reduced)
+    animateBars() {
+        if (!window.animationController) return;
+
+        window.animationController.observeProgressBars(this.container.querySelectorAll('.skill-category'), {
+            counter: bar => bar.closest('.skill-item').querySelector('.skill-counter')
+        });
+    }
+
+    // ===== THEME COLORS =====
+    applyColors(theme) {
+        const themeManager = window.themeManager;
+        if (!themeManager) return;
+
+        const colors = themeManager.getComponentColors(theme || themeManager.currentTheme);
+
+        this.container.querySelectorAll('.skill-progress').forEach(bar => {
+            bar.style.backgroundColor = colors.progress;
+        });
+
+        const shape = this.container.querySelector('.skills-radar-shape');
+        if (shape) {
+            shape.style.fill = colors.progress;
+            shape.style.stroke = colors.progress;
+        }
+        this.container.querySelectorAll('.skills-radar-dot').forEach(dot => {
+            dot.style.fill = colors.progress;
+        });
+
+        this.container.querySelectorAll('.skills-cloud-tag').forEach(tag => {
+            // Stronger tint for higher levels; the text keeps the theme's text color
+            const alpha = Math.round((0.08 + (tag.dataset.value / 100) * 0.2) * 255).toString(16).padStart(2, '0');
+            tag.style.borderColor = colors.progress;
+            tag.style.backgroundColor = `${colors.progress}${alpha}`;
+        });
+    }
+
+    // ===== UTILITIES =====
+    slug(value) {
+        return String(value).toLowerCase().replace(/#/g, 'sharp').replace(/[^a-z0-9]+/g, '-');
+    }
+}
+
+SkillsView.VIEWS = ['bars', 'radar', 'cloud'];
+
+// Export for use in other modules
+window.SkillsView = SkillsView;
@@ -0,0 +1,217 @@
+/**
+ * PORTFOLIO WEBSITE - STRUCTURED DATA
+ * ===================================
+ *
+ * Builds the page's JSON-LD from the same content model the sections are
+ * rendered from, so search engines never see a different portfolio than
+ * visitors do. Runs in the browser (PortfolioApp refreshes the
+ * #structured-data script once everything has loaded) and in Node
+ * (scripts/build-structured-data.js writes it into index.html for crawlers
+ * that do not run JavaScript).
+ *
+ * CONTENT (the data/ files, as loaded):
+ * - profile         data/profile.json        Person and WebSite details
+ * - projects        data/projects.json       one CreativeWork per project
+ * - skills          data/skills.json         knowsAbout; the 'languages'
+ *                                            category becomes knowsLanguage
+ * - education       data/education.json      alumniOf, plus a credential per
+ *                                            completed entry
+ * - certifications  data/certifications.json an EducationalOccupationalCredential each
+ *
+ * OUTPUT:
+ * One '@graph' with a Person, the WebSite and an ItemList of the projects.
+ * Nodes reference each other by '@id' (<site url>#person, #project-<id>...),
+ * matching the fragment ids used on the page. Empty values are left out.
+ */
+
+class StructuredData {
+    constructor(content = {}) {
+        this.profile = content.profile || {};
+        this.projects = content.projects || { categories: {}, projects: [] };
+        this.skills = content.skills || { categories: {}, skills: [] };
+        this.education = content.education || { education: [] };
+        this.certifications = content.certifications || { issuers: {}, certifications: [] };
+        this.baseUrl = this.profile.url || '';
+    }
+
+    build() {
+        return StructuredData.compact({
+            '@context': 'https://schema.org',
+            '@graph': [
+                this.buildPerson(),
+                this.buildWebSite(),
+                this.buildProjectList()
+            ]
+        });
+    }
+
+    toString(space = 4) {
+        return JSON.stringify(this.build(), null, space);
+    }
+
+    // ===== PERSON =====
+    buildPerson() {
+        const profile = this.profile;
+        const address = profile.address || {};
+        const skills = this.skills.skills || [];
+        const isLanguage = skill => skill.category === 'languages';
+
+        return {
+            '@type': 'Person',
+            '@id': this.id('person'),
+            name: profile.name,
+            jobTitle: profile.jobTitle,
+            description: profile.description,
+            url: this.baseUrl,
+            image: this.absolute(profile.image),
+            sameAs: profile.sameAs,
+            address: {
+                '@type': 'PostalAddress',
+                addressLocality: address.locality,
+                addressCountry: address.country
+            },
+            knowsAbout: StructuredData.unique([
+                ...(profile.knowsAbout || []),
+                ...skills.filter(skill => !isLanguage(skill)).map(skill => skill.name)
+            ]),
+            knowsLanguage: skills.filter(isLanguage).map(skill => skill.name),
+            alumniOf: StructuredData.unique((this.education.education || []).map(entry => entry.institution))
+                .map(name => ({ '@type': 'EducationalOrganization', name })),
+            hasCredential: [
+                ...(this.education.education || []).filter(entry => entry.end).map(entry => this.buildEducationCredential(entry)),
+                ...(this.certifications.certifications || []).map(certification => this.buildCertification(certification))
+            ],
+            worksFor: profile.worksFor ? { '@type': 'Organization', name: profile.worksFor } : null
+        };
+    }
+
+    buildEducationCredential(entry) {
+        return {
+            '@type': 'EducationalOccupationalCredential',
+            '@id': this.id(`education-${entry.id}`),
+            name: entry.degree,
+            description: entry.description,
+            credentialCategory: entry.credentialCategory,
+            dateCreated: entry.end,
+            recognizedBy: { '@type': 'EducationalOrganization', name: entry.institution },
+            competencyRequired: (entry.modules || []).map(module => module.name)
+        };
+    }
+
+    buildCertification(certification) {
+        const issuer = (this.certifications.issuers || {})[certification.issuer] || { name: certification.issuer };
+
+        return {
+            '@type': 'EducationalOccupationalCredential',
+            '@id': this.id(`certification-${certification.id}`),
+            name: certification.title,
+            description: certification.description,
+            credentialCategory: 'certificate',
+            identifier: certification.credentialId,
+            dateCreated: certification.issued,
+            expires: certification.expires,
+            url: certification.verifyUrl || certification.url,
+            recognizedBy: { '@type': 'Organization', name: issuer.name, url: issuer.url },
+            competencyRequired: certification.skills
+        };
+    }
+
+    // ===== WEBSITE =====
+    buildWebSite() {
+        const website = this.profile.website || {};
+
+        return {
+            '@type': 'WebSite',
+            '@id': this.id('website'),
+            name: website.name,
+            url: this.baseUrl,
+            description: website.description,
+            author: { '@id': this.id('person') },
+            potentialAction: website.searchTarget ? {
+                '@type': 'SearchAction',
+                target: website.searchTarget,
+                'query-input': 'required name=search_term_string'
+            } : null
+        };
+    }
+
+    // ===== PROJECTS =====
+    buildProjectList() {
+        const projects = this.projects.projects || [];
+
+        return {
+            '@type': 'ItemList',
+            '@id': this.id('projects'),
+            name: 'Projects',
+            numberOfItems: projects.length,
+            itemListElement: projects.map((project, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                item: this.buildProject(project)
+            }))
+        };
+    }
+
+    buildProject(project) {
+        const categories = this.projects.categories || {};
+
+        return {
+            '@type': 'CreativeWork',
+            '@id': this.id(`project-${project.id}`),
+            name: project.title,
+            description: project.description,
+            url: this.id(`project-${project.id}`),
+            genre: categories[project.category] || project.category,
+            keywords: (project.technologies || []).map(tech => tech.name).join(', '),
+            dateCreated: project.startDate,
+            datePublished: project.endDate,
+            author: { '@id': this.id('person') },
+            sameAs: (project.links || []).map(link => link.url).filter(url => /^https?:\/\//.test(url))
+        };
+    }
+
+    // ===== UTILITIES =====
+    id(fragment) {
+        return `${this.baseUrl}#${fragment}`;
+    }
+
+    absolute(path) {
+        if (!path) return '';
+        try {
+            return new URL(path, this.baseUrl).href;
+        } catch (error) {
+            return path;
+        }
+    }
+
+    // Drops null, undefined, '', [] and bare { '@type' } nodes so optional data
+    // never shows up as empty fields
+    static compact(value) {
+        if (Array.isArray(value)) {
+            return value.map(StructuredData.compact).filter(item => !StructuredData.isEmpty(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.entries(value).reduce((result, [key, item]) => {
+                const compacted = StructuredData.compact(item);
+                if (!StructuredData.isEmpty(compacted)) {
+                    result[key] = compacted;
+                }
+                return result;
+            }, {});
+        }
+        return value;
+    }
+
+    static isEmpty(value) {
+        return value === null || value === undefined || value === ''
+            || (Array.isArray(value) && value.length === 0)
+            || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).every(key => key === '@type'));
+    }
+
+    static unique(values) {
+        return Array.from(new Set(values.filter(Boolean)));
+    }
+}
+
+// Export for use in other modules (and in Node, see scripts/build-structured-data.js)
+self.StructuredData = StructuredData;
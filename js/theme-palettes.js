@@ -0,0 +1,344 @@
+/**
+ * PORTFOLIO WEBSITE - THEME PALETTES
+ * ==================================
+ *
+ * Registry of the color palettes ThemeManager can apply, plus the color math
+ * used to derive accessible variants from a visitor-chosen accent color.
+ *
+ * BUILT-IN PALETTES:
+ * - light, dark:    the original two themes; --text-tertiary is darkened
+ *                   (light) or lightened (dark) just enough for 4.5:1 on
+ *                   --bg-tertiary
+ * - high-contrast:  black background, white text, yellow accent
+ * - sepia:          warm paper tones for long reading
+ *
+ * USER-DEFINED PALETTES:
+ * - register({ id, label, base, variables, accent }) extends an existing
+ *   palette; only the variables that differ need to be given
+ * - ThemeManager persists user-defined palettes in localStorage
+ *
+ * RESOLVING A PALETTE:
+ * resolve(id, accent) returns everything needed to paint the page:
+ * - scheme:     'light' or 'dark' (drives the .light/.dark classes)
+ * - variables:  CSS custom properties (--bg-*, --text-*, --primary-*...)
+ * - components: inline colors for .skill-progress and .skill-icon
+ * - metaColor:  value for <meta name="theme-color">
+ *
+ * ACCENT DERIVATION:
+ * - The accent becomes --primary-500 and a 50-900 scale is mixed around it
+ * - Backgrounds get a faint accent tint; text colors get a slightly stronger
+ *   one, then are darkened/lightened until they reach 4.5:1 (WCAG AA) on
+ *   every background
+ *
+ * COMPONENT COLORS:
+ * - Progress bars and skill icons are adjusted to at least 3:1 against the
+ *   page background and the bar track (WCAG 1.4.11, non-text contrast), for
+ *   every palette, with or without an accent
+ * - Text variables are taken as given; scripts/audit-contrast.js checks them
+ */
+
+class PaletteRegistry {
+    constructor(palettes = PaletteRegistry.BUILT_IN) {
+        this.palettes = new Map();
+        palettes.forEach(palette => this.register({ ...palette, builtIn: true }));
+    }
+
+    // ===== REGISTRY =====
+    register(definition) {
+        const { id, base } = definition;
+
+        if (!id || typeof id !== 'string') {
+            throw new TypeError('A palette needs a string id');
+        }
+        if (this.palettes.has(id) && this.palettes.get(id).builtIn && !definition.builtIn) {
+            throw new Error(`Palette "${id}" is built in and cannot be replaced`);
+        }
+
+        const parent = base ? this.get(base) : null;
+        if (base && !parent) {
+            throw new Error(`Palette "${id}" extends unknown palette "${base}"`);
+        }
+
+        const palette = {
+            id,
+            label: definition.label || id,
+            scheme: definition.scheme || (parent ? parent.scheme : 'light'),
+            base: base || null,
+            accent: definition.accent || (parent ? parent.accent : null),
+            metaColor: definition.metaColor || (definition.variables && definition.variables['--bg-primary']) ||
+                (parent ? parent.metaColor : '#ffffff'),
+            variables: {
+                ...(parent ? parent.variables : {}),
+                ...(definition.variables || {})
+            },
+            components: {
+                ...(parent ? parent.components : {}),
+                ...(definition.components || {})
+            },
+            builtIn: Boolean(definition.builtIn)
+        };
+
+        this.palettes.set(id, palette);
+        return palette;
+    }
+
+    unregister(id) {
+        const palette = this.palettes.get(id);
+        if (!palette || palette.builtIn) return false;
+        return this.palettes.delete(id);
+    }
+
+    get(id) {
+        return this.palettes.get(id) || null;
+    }
+
+    has(id) {
+        return this.palettes.has(id);
+    }
+
+    list() {
+        return Array.from(this.palettes.values());
+    }
+
+    // ===== RESOLUTION =====
+    resolve(id, accent = null) {
+        const palette = this.get(id) || this.get('light');
+        const variables = { ...palette.variables };
+        const components = { ...palette.components };
+        const accentColor = PaletteRegistry.normalizeHex(accent) || palette.accent;
+
+        if (accentColor) {
+            Object.assign(variables, PaletteRegistry.deriveScale(accentColor));
+        }
+
+        // A visitor-chosen accent also tints the neutrals
+        if (PaletteRegistry.normalizeHex(accent)) {
+            Object.assign(variables, PaletteRegistry.deriveTints(variables, accentColor));
+        }
+
+        if (accentColor) {
+            components.progress = accentColor;
+            components.icon = palette.scheme === 'dark' ? variables['--primary-400'] : accentColor;
+        }
+
+        const background = variables['--bg-primary'];
+
+        // Progress bars sit on a --bg-tertiary track
+        if (PaletteRegistry.normalizeHex(components.progress)) {
+            components.progress = PaletteRegistry.ensureContrast(components.progress, [background, variables['--bg-tertiary']], 3);
+        }
+        if (PaletteRegistry.normalizeHex(components.icon)) {
+            components.icon = PaletteRegistry.ensureContrast(components.icon, background, 3);
+        }
+
+        return {
+            id: palette.id,
+            label: palette.label,
+            scheme: palette.scheme,
+            accent: accentColor,
+            metaColor: palette.metaColor,
+            variables,
+            components
+        };
+    }
+
+    // ===== COLOR MATH =====
+    static normalizeHex(color) {
+        if (typeof color !== 'string') return null;
+
+        const match = color.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!match) return null;
+
+        const hex = match[1].length === 3
+            ? match[1].split('').map(char => char + char).join('')
+            : match[1];
+
+        return `#${hex.toLowerCase()}`;
+    }
+
+    static hexToRgb(color) {
+        const hex = PaletteRegistry.normalizeHex(color);
+        if (!hex) return null;
+
+        return [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    }
+
+    static rgbToHex(rgb) {
+        return '#' + rgb
+            .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Linear blend: amount 0 returns `from`, 1 returns `to`
+    static mix(from, to, amount) {
+        const a = PaletteRegistry.hexToRgb(from);
+        const b = PaletteRegistry.hexToRgb(to);
+        return PaletteRegistry.rgbToHex(a.map((channel, index) => channel + (b[index] - channel) * amount));
+    }
+
+    static luminance(color) {
+        const [r, g, b] = PaletteRegistry.hexToRgb(color).map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    static contrastRatio(foreground, background) {
+        const a = PaletteRegistry.luminance(foreground);
+        const b = PaletteRegistry.luminance(background);
+        return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    }
+
+    // Darken (on light backgrounds) or lighten (on dark ones) until every pair passes
+    static ensureContrast(color, backgrounds, minRatio) {
+        const surfaces = [].concat(backgrounds).filter(PaletteRegistry.normalizeHex);
+        if (surfaces.length === 0) return color;
+
+        const target = PaletteRegistry.luminance(surfaces[0]) > 0.18 ? '#000000' : '#ffffff';
+
+        for (let step = 0; step <= 20; step++) {
+            const candidate = PaletteRegistry.mix(color, target, step / 20);
+            if (surfaces.every(surface => PaletteRegistry.contrastRatio(candidate, surface) >= minRatio)) {
+                return candidate;
+            }
+        }
+        return target;
+    }
+
+    static deriveScale(accent) {
+        const mix = PaletteRegistry.mix;
+
+        return {
+            '--primary-50': mix(accent, '#ffffff', 0.92),
+            '--primary-100': mix(accent, '#ffffff', 0.84),
+            '--primary-200': mix(accent, '#ffffff', 0.68),
+            '--primary-300': mix(accent, '#ffffff', 0.48),
+            '--primary-400': mix(accent, '#ffffff', 0.24),
+            '--primary-500': PaletteRegistry.normalizeHex(accent),
+            '--primary-600': mix(accent, '#000000', 0.14),
+            '--primary-700': mix(accent, '#000000', 0.3),
+            '--primary-800': mix(accent, '#000000', 0.44),
+            '--primary-900': mix(accent, '#000000', 0.56)
+        };
+    }
+
+    static deriveTints(variables, accent) {
+        const mix = PaletteRegistry.mix;
+        const backgrounds = {
+            '--bg-primary': mix(variables['--bg-primary'], accent, 0.02),
+            '--bg-secondary': mix(variables['--bg-secondary'], accent, 0.05),
+            '--bg-tertiary': mix(variables['--bg-tertiary'], accent, 0.08)
+        };
+        const surfaces = Object.values(backgrounds);
+
+        return {
+            ...backgrounds,
+            '--text-primary': PaletteRegistry.ensureContrast(mix(variables['--text-primary'], accent, 0.06), surfaces, 4.5),
+            '--text-secondary': PaletteRegistry.ensureContrast(mix(variables['--text-secondary'], accent, 0.1), surfaces, 4.5),
+            '--text-tertiary': PaletteRegistry.ensureContrast(mix(variables['--text-tertiary'], accent, 0.12), surfaces, 4.5),
+            '--border-primary': mix(variables['--border-primary'], accent, 0.12)
+        };
+    }
+}
+
+// ===== BUILT-IN PALETTES =====
+PaletteRegistry.BUILT_IN = [
+    {
+        id: 'light',
+        label: 'Light',
+        scheme: 'light',
+        metaColor: '#ffffff',
+        variables: {
+            '--bg-primary': '#ffffff',
+            '--bg-secondary': '#f9fafb',
+            '--bg-tertiary': '#f3f4f6',
+            '--text-primary': '#111827',
+            '--text-secondary': '#374151',
+            '--text-tertiary': '#666c7a',
+            '--border-primary': '#e5e7eb',
+            '--border-secondary': '#d1d5db',
+            '--shadow-color': 'rgba(0, 0, 0, 0.1)',
+            '--shadow-color-dark': 'rgba(0, 0, 0, 0.2)',
+            '--glass-bg': 'rgba(255, 255, 255, 0.8)',
+            '--glass-border': 'rgba(255, 255, 255, 0.2)',
+            '--glass-shadow': '0 8px 32px rgba(0, 0, 0, 0.1)'
+        },
+        components: {
+            progress: '#2563eb',
+            icon: '#3b82f6'
+        }
+    },
+    {
+        id: 'dark',
+        label: 'Dark',
+        scheme: 'dark',
+        metaColor: '#1f2937',
+        variables: {
+            '--bg-primary': '#111827',
+            '--bg-secondary': '#1f2937',
+            '--bg-tertiary': '#374151',
+            '--text-primary': '#f9fafb',
+            '--text-secondary': '#d1d5db',
+            '--text-tertiary': '#a6acb7',
+            '--border-primary': '#374151',
+            '--border-secondary': '#4b5563',
+            '--shadow-color': 'rgba(0, 0, 0, 0.3)',
+            '--shadow-color-dark': 'rgba(0, 0, 0, 0.5)',
+            '--glass-bg': 'rgba(31, 41, 55, 0.8)',
+            '--glass-border': 'rgba(255, 255, 255, 0.1)',
+            '--glass-shadow': '0 8px 32px rgba(0, 0, 0, 0.3)'
+        },
+        components: {
+            progress: '#60a5fa',
+            icon: '#60a5fa'
+        }
+    },
+    {
+        id: 'high-contrast',
+        label: 'High contrast',
+        scheme: 'dark',
+        accent: '#ffd400',
+        metaColor: '#000000',
+        variables: {
+            '--bg-primary': '#000000',
+            '--bg-secondary': '#0a0a0a',
+            '--bg-tertiary': '#1a1a1a',
+            '--text-primary': '#ffffff',
+            '--text-secondary': '#f5f5f5',
+            '--text-tertiary': '#d4d4d4',
+            '--border-primary': '#ffffff',
+            '--border-secondary': '#d4d4d4',
+            '--shadow-color': 'rgba(0, 0, 0, 0)',
+            '--shadow-color-dark': 'rgba(0, 0, 0, 0)',
+            '--glass-bg': 'rgba(0, 0, 0, 0.95)',
+            '--glass-border': 'rgba(255, 255, 255, 0.9)',
+            '--glass-shadow': 'none'
+        }
+    },
+    {
+        id: 'sepia',
+        label: 'Sepia',
+        scheme: 'light',
+        accent: '#9a4a1f',
+        metaColor: '#f4ecd8',
+        variables: {
+            '--bg-primary': '#f4ecd8',
+            '--bg-secondary': '#ede2c8',
+            '--bg-tertiary': '#e4d5b4',
+            '--text-primary': '#33291b',
+            '--text-secondary': '#4a3c28',
+            '--text-tertiary': '#5e4d35',
+            '--border-primary': '#dccaa6',
+            '--border-secondary': '#cdb68c',
+            '--shadow-color': 'rgba(74, 54, 24, 0.12)',
+            '--shadow-color-dark': 'rgba(74, 54, 24, 0.24)',
+            '--glass-bg': 'rgba(244, 236, 216, 0.85)',
+            '--glass-border': 'rgba(120, 90, 50, 0.2)',
+            '--glass-shadow': '0 8px 32px rgba(74, 54, 24, 0.12)'
+        }
+    }
+];
+
+// Export for use in other modules
+self.PaletteRegistry = PaletteRegistry;
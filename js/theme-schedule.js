@@ -0,0 +1,136 @@
+/**
+ * PORTFOLIO WEBSITE - THEME SCHEDULE
+ * ==================================
+ *
+ * Decides between the light and dark scheme from the time of day when the
+ * theme preference is "auto" and the visitor has opted into a schedule.
+ * Without a schedule, "auto" simply follows prefers-color-scheme.
+ *
+ * SCHEDULE TYPES:
+ * - hours: { type: 'hours', lightFrom: '07:00', darkFrom: '19:00' }
+ *          fixed local times; ranges that wrap past midnight are supported
+ * - sun:   { type: 'sun', latitude: 6.93, longitude: 79.85 }
+ *          light between sunrise and sunset at the given location
+ *
+ * SUNRISE/SUNSET:
+ * - Uses the NOAA approximation (accurate to a minute or two), which is
+ *   plenty for switching a color scheme
+ * - Polar day/night is handled: the scheme stays light/dark all day
+ */
+
+class ThemeSchedule {
+    constructor(config = {}) {
+        this.config = ThemeSchedule.normalize(config);
+    }
+
+    static normalize(config) {
+        if (config && config.type === 'sun' &&
+            Number.isFinite(Number(config.latitude)) && Number.isFinite(Number(config.longitude))) {
+            return {
+                type: 'sun',
+                latitude: Number(config.latitude),
+                longitude: Number(config.longitude)
+            };
+        }
+
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        return {
+            type: 'hours',
+            lightFrom: config && timePattern.test(config.lightFrom) ? config.lightFrom : '07:00',
+            darkFrom: config && timePattern.test(config.darkFrom) ? config.darkFrom : '19:00'
+        };
+    }
+
+    // ===== SCHEME =====
+    getScheme(date = new Date()) {
+        const { lightStart, darkStart, always } = this.getBoundaries(date);
+
+        if (always) return always;
+
+        // Same-day window, or a window that wraps past midnight
+        if (lightStart < darkStart) {
+            return date >= lightStart && date < darkStart ? 'light' : 'dark';
+        }
+        return date >= darkStart && date < lightStart ? 'dark' : 'light';
+    }
+
+    // Next moment getScheme() changes its answer
+    getNextChange(date = new Date()) {
+        const candidates = [];
+
+        for (let offset = 0; offset <= 2; offset++) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset, 12);
+            const { lightStart, darkStart, always } = this.getBoundaries(day);
+            if (always) continue;
+            [lightStart, darkStart].forEach(boundary => {
+                if (boundary && boundary > date) candidates.push(boundary);
+            });
+        }
+
+        if (candidates.length > 0) {
+            return new Date(Math.min(...candidates));
+        }
+
+        // Polar day/night: check again after midnight
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, 0, 1);
+    }
+
+    // Switch times for the local day of `date`; `always` is set during polar day/night
+    getBoundaries(date) {
+        if (this.config.type === 'sun') {
+            const { sunrise, sunset, polar } = ThemeSchedule.getSunTimes(date, this.config.latitude, this.config.longitude);
+            if (polar) {
+                return { lightStart: null, darkStart: null, always: polar === 'day' ? 'light' : 'dark' };
+            }
+            return { lightStart: sunrise, darkStart: sunset, always: null };
+        }
+
+        return {
+            lightStart: ThemeSchedule.atTime(date, this.config.lightFrom),
+            darkStart: ThemeSchedule.atTime(date, this.config.darkFrom),
+            always: null
+        };
+    }
+
+    static atTime(date, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+    }
+
+    // ===== SUNRISE / SUNSET =====
+    static getSunTimes(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const startOfYear = Date.UTC(date.getFullYear(), 0, 1);
+        const midnightUTC = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const dayOfYear = Math.round((midnightUTC - startOfYear) / 86400000) + 1;
+
+        // Fractional year (radians) at local noon
+        const gamma = (2 * Math.PI / 365) * (dayOfYear - 1 + 0.5);
+
+        const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+            0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+
+        const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+            0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+            0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+        const cosHourAngle = Math.cos(90.833 * rad) / (Math.cos(latitude * rad) * Math.cos(declination)) -
+            Math.tan(latitude * rad) * Math.tan(declination);
+
+        if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+        if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+
+        const hourAngle = Math.acos(cosHourAngle) / rad;
+        const sunriseMinutes = 720 - 4 * (longitude + hourAngle) - equationOfTime;
+        const sunsetMinutes = 720 - 4 * (longitude - hourAngle) - equationOfTime;
+
+        return {
+            sunrise: new Date(midnightUTC + sunriseMinutes * 60000),
+            sunset: new Date(midnightUTC + sunsetMinutes * 60000),
+            polar: null
+        };
+    }
+}
+
+// Export for use in other modules
+window.ThemeSchedule = ThemeSchedule;
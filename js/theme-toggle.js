@@ -8,13 +8,32 @@
  * THEME SYSTEM FEATURES:
  * - Automatic system preference detection (prefers-color-scheme)
  * - Manual theme toggle with smooth transitions
+ * - Three-way preference: light, dark or auto ("follow system")
+ * - Optional sunrise/sunset or custom-hours schedule for auto (ThemeSchedule)
+ * - Palettes beyond light/dark (high contrast, sepia, user-defined) from PaletteRegistry
+ * - Accent color picker with accessible derived tints
  * - localStorage persistence for user preferences
- * - Fallback to time-of-day detection
  * - Theme-aware component updates
  * - Accessibility features (ARIA labels, screen reader support)
  * 
+ * PREFERENCE MODEL:
+ * - preference is 'auto' or a palette id; only explicit choices are stored
+ *   in localStorage ('theme'), so auto keeps following the system
+ * - Auto resolves to the light or dark palette from the schedule when one is
+ *   configured ('theme-schedule'), otherwise from prefers-color-scheme
+ * 
+ * CROSS-TAB SYNC:
+ * - Other open tabs pick up changes through the 'storage' event, which the
+ *   browser only fires in tabs other than the one that wrote the value, so
+ *   changes never echo back
+ * - Synced changes go through applyTheme() but are not persisted again
+ * - themechange events carry detail.origin: 'init', 'user', 'system'
+ *   (prefers-color-scheme), 'schedule' or 'sync' (another tab)
+ * 
  * IMPLEMENTATION DETAILS:
  * - CSS custom properties for dynamic theming
+ * - The resolved palette is cached in localStorage ('theme-palette-cache') so
+ *   the inline script in index.html can paint it before this file loads
  * - Smooth transitions between themes (300ms)
  * - Ripple effect animation on theme toggle
  * - Meta theme-color updates for mobile browsers
@@ -37,60 +56,171 @@
 class ThemeManager {
     constructor() {
         this.themeToggle = document.getElementById('theme-toggle');
-        this.currentTheme = this.getStoredTheme() || this.getSystemTheme();
+        this.paletteButton = document.getElementById('theme-palette-button');
+        this.palettePanel = document.getElementById('theme-panel');
+        this.palettes = new PaletteRegistry();
+        this.loadCustomPalettes();
+        this.accent = this.getStoredAccent();
+        this.appliedVariables = [];
+        this.schedule = this.getStoredSchedule();
+        this.scheduleTimer = null;
+        // preference is 'auto' or a palette id; currentTheme is the resulting
+        // color scheme ('light' or 'dark') and currentPalette the palette id
+        this.preference = this.getStoredTheme() || 'auto';
+        this.currentPalette = this.preference === 'auto' ? this.getSystemTheme() : this.preference;
+        this.currentTheme = null;
         this.init();
     }
 
     init() {
-        this.applyTheme(this.currentTheme);
+        this.applyTheme(this.currentPalette, { origin: 'init' });
         this.setupEventListeners();
+        this.setupPalettePicker();
         this.updateThemeIcon();
         this.updateThemeToggleState(this.currentTheme);
         this.setupSystemThemeListener();
+        this.setupCrossTabSync();
+        this.scheduleNextSwitch();
         this.initThemeAwareComponents();
     }
 
     // ===== THEME DETECTION & STORAGE =====
     getStoredTheme() {
         try {
-            return localStorage.getItem('theme');
+            const theme = localStorage.getItem('theme');
+            return theme && this.palettes.has(theme) ? theme : null;
         } catch (error) {
             console.warn('Could not access localStorage:', error);
             return null;
         }
     }
 
+    // Scheme used by the 'auto' preference
     getSystemTheme() {
+        // An opted-in schedule takes precedence over the OS setting
+        if (this.schedule) {
+            return this.schedule.getScheme();
+        }
+        
         // Check if the browser supports prefers-color-scheme
         if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
             return 'dark';
         }
         
-        // Fallback: check for other indicators
-        const hour = new Date().getHours();
-        const isNightTime = hour < 6 || hour > 18;
-        
-        // Check if user has previously indicated a preference
-        const hasUserPreference = localStorage.getItem('theme-preference');
-        if (hasUserPreference) {
-            return hasUserPreference;
-        }
-        
-        return isNightTime ? 'dark' : 'light';
+        return 'light';
     }
 
     setStoredTheme(theme) {
         try {
-            localStorage.setItem('theme', theme);
+            if (theme) {
+                localStorage.setItem('theme', theme);
+            } else {
+                localStorage.removeItem('theme');
+            }
         } catch (error) {
             console.warn('Could not save theme to localStorage:', error);
         }
     }
 
+    getStoredSchedule() {
+        try {
+            const config = JSON.parse(localStorage.getItem('theme-schedule'));
+            return config ? new ThemeSchedule(config) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setStoredSchedule(schedule) {
+        try {
+            if (schedule) {
+                localStorage.setItem('theme-schedule', JSON.stringify(schedule.config));
+            } else {
+                localStorage.removeItem('theme-schedule');
+            }
+        } catch (error) {
+            console.warn('Could not save theme schedule to localStorage:', error);
+        }
+    }
+
+    getStoredAccent() {
+        try {
+            return PaletteRegistry.normalizeHex(localStorage.getItem('theme-accent'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setStoredAccent(accent) {
+        try {
+            if (accent) {
+                localStorage.setItem('theme-accent', accent);
+            } else {
+                localStorage.removeItem('theme-accent');
+            }
+        } catch (error) {
+            console.warn('Could not save accent color to localStorage:', error);
+        }
+    }
+
+    // Read by the inline script in index.html before the first paint.
+    // A scheduled auto theme is valid until the next switch ('expires').
+    setPaletteCache(resolved) {
+        const expires = this.preference === 'auto' && this.schedule
+            ? this.schedule.getNextChange().getTime()
+            : null;
+
+        try {
+            localStorage.setItem('theme-palette-cache', JSON.stringify({
+                id: resolved.id,
+                scheme: resolved.scheme,
+                metaColor: resolved.metaColor,
+                variables: resolved.variables,
+                expires
+            }));
+        } catch (error) {
+            console.warn('Could not cache palette in localStorage:', error);
+        }
+    }
+
+    loadCustomPalettes() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('theme-custom-palettes') || '[]');
+            stored.forEach(definition => {
+                try {
+                    this.palettes.register(definition);
+                } catch (error) {
+                    console.warn('Ignoring invalid custom palette:', error);
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load custom palettes:', error);
+        }
+    }
+
+    saveCustomPalettes() {
+        const custom = this.palettes.list()
+            .filter(palette => !palette.builtIn)
+            .map(({ id, label, scheme, base, accent, metaColor, variables, components }) => ({
+                id, label, scheme, base, accent, metaColor, variables, components
+            }));
+
+        try {
+            localStorage.setItem('theme-custom-palettes', JSON.stringify(custom));
+        } catch (error) {
+            console.warn('Could not save custom palettes:', error);
+        }
+    }
+
     // ===== THEME APPLICATION =====
-    applyTheme(theme) {
+    // `palette` is any registered palette id; 'light' and 'dark' are palettes too.
+    // `origin` is reported in the themechange event (see CROSS-TAB SYNC above).
+    applyTheme(palette, { origin = 'user' } = {}) {
         const root = document.documentElement;
         const body = document.body;
+        const resolved = this.palettes.resolve(palette, this.accent);
+        const theme = resolved.scheme;
+        const previousTheme = this.currentTheme;
         
         // Add transition class for smooth theme switching
         this.addThemeTransition();
@@ -102,6 +232,10 @@ class ThemeManager {
         // Apply new theme
         root.classList.add(theme);
         body.classList.add(theme);
+        root.dataset.palette = resolved.id;
+        
+        this.resolvedPalette = resolved;
+        this.currentPalette = resolved.id;
         
         // Update meta theme-color for mobile browsers
         this.updateMetaThemeColor(theme);
@@ -112,17 +246,21 @@ class ThemeManager {
         // Update theme-aware components
         this.updateThemeAwareComponents(theme);
         
-        // Store theme preference
-        this.setStoredTheme(theme);
+        // The preference itself is only stored by setPreference(); a tab that
+        // wrote a change has already cached the palette
+        if (origin !== 'sync') {
+            this.setPaletteCache(resolved);
+        }
         
         // Update aria-pressed state for theme toggle
         this.updateThemeToggleState(theme);
-        
-        // Dispatch custom event for other components
-        this.dispatchThemeChangeEvent(theme);
+        this.updatePalettePicker();
         
         this.currentTheme = theme;
         
+        // Dispatch custom event for other components
+        this.dispatchThemeChangeEvent(theme, previousTheme, origin);
+        
         // Remove transition class after theme is applied
         setTimeout(() => {
             this.removeThemeTransition();
@@ -138,63 +276,33 @@ class ThemeManager {
             document.head.appendChild(metaThemeColor);
         }
         
-        const colors = {
-            light: '#ffffff',
-            dark: '#1f2937'
-        };
-        
-        metaThemeColor.content = colors[theme] || colors.light;
+        metaThemeColor.content = this.resolvedPalette
+            ? this.resolvedPalette.metaColor
+            : (theme === 'dark' ? '#1f2937' : '#ffffff');
     }
 
     updateCSSVariables(theme) {
         const root = document.documentElement;
+        const resolved = this.resolvedPalette || this.palettes.resolve(theme, this.accent);
+        const variables = resolved.variables;
         
-        // Define theme-specific CSS variables
-        const themeVariables = {
-            light: {
-                '--bg-primary': '#ffffff',
-                '--bg-secondary': '#f9fafb',
-                '--bg-tertiary': '#f3f4f6',
-                '--text-primary': '#111827',
-                '--text-secondary': '#374151',
-                '--text-tertiary': '#6b7280',
-                '--border-primary': '#e5e7eb',
-                '--border-secondary': '#d1d5db',
-                '--shadow-color': 'rgba(0, 0, 0, 0.1)',
-                '--shadow-color-dark': 'rgba(0, 0, 0, 0.2)',
-                '--glass-bg': 'rgba(255, 255, 255, 0.8)',
-                '--glass-border': 'rgba(255, 255, 255, 0.2)',
-                '--glass-shadow': '0 8px 32px rgba(0, 0, 0, 0.1)'
-            },
-            dark: {
-                '--bg-primary': '#111827',
-                '--bg-secondary': '#1f2937',
-                '--bg-tertiary': '#374151',
-                '--text-primary': '#f9fafb',
-                '--text-secondary': '#d1d5db',
-                '--text-tertiary': '#9ca3af',
-                '--border-primary': '#374151',
-                '--border-secondary': '#4b5563',
-                '--shadow-color': 'rgba(0, 0, 0, 0.3)',
-                '--shadow-color-dark': 'rgba(0, 0, 0, 0.5)',
-                '--glass-bg': 'rgba(31, 41, 55, 0.8)',
-                '--glass-border': 'rgba(255, 255, 255, 0.1)',
-                '--glass-shadow': '0 8px 32px rgba(0, 0, 0, 0.3)'
-            }
-        };
-        
-        const variables = themeVariables[theme] || themeVariables.light;
+        // Drop variables the previous palette set but this one doesn't (e.g. accent scales)
+        this.appliedVariables
+            .filter(property => !(property in variables))
+            .forEach(property => root.style.removeProperty(property));
         
         Object.entries(variables).forEach(([property, value]) => {
             root.style.setProperty(property, value);
         });
+        
+        this.appliedVariables = Object.keys(variables);
     }
 
     // ===== THEME TOGGLE FUNCTIONALITY =====
     toggleTheme() {
-        const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.applyTheme(newTheme);
-        this.updateThemeIcon();
+        // Other palettes toggle to the plain palette of the opposite scheme
+        const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
+        this.setPreference(newTheme);
         
         // Add animation to toggle button
         this.animateThemeToggle();
@@ -252,6 +360,10 @@ class ThemeManager {
     updateThemeToggleState(theme) {
         if (this.themeToggle) {
             this.themeToggle.setAttribute('aria-pressed', theme === 'dark' ? 'true' : 'false');
+            this.themeToggle.classList.toggle('is-auto', this.preference === 'auto');
+            this.themeToggle.title = this.preference === 'auto'
+                ? `Theme: automatic (${theme})`
+                : `Theme: ${theme}`;
             
             // Add transition class for smooth animation
             this.themeToggle.classList.add('theme-transitioning');
@@ -316,32 +428,365 @@ class ThemeManager {
             });
         }
         
-        // Add keyboard shortcut (Ctrl/Cmd + T)
-        document.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.key === 't') {
-                e.preventDefault();
-                this.toggleTheme();
-            }
-        });
+        // The 't' shortcut is registered with ShortcutRegistry (js/shortcuts.js)
     }
 
     setupSystemThemeListener() {
         const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
         
         mediaQuery.addEventListener('change', (e) => {
-            // Only auto-switch if user hasn't set a preference
-            if (!this.getStoredTheme()) {
+            // Only auto-switch when following the system (no explicit choice, no schedule)
+            if (this.preference === 'auto' && !this.schedule) {
                 const newTheme = e.matches ? 'dark' : 'light';
-                this.applyTheme(newTheme);
+                this.applyTheme(newTheme, { origin: 'system' });
                 this.updateThemeIcon();
             }
         });
+        
+        // Timers are throttled in background tabs; catch up when the page is shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.refreshAutoTheme();
+            }
+        });
+    }
+
+    // ===== CROSS-TAB SYNC =====
+    setupCrossTabSync() {
+        window.addEventListener('storage', (e) => {
+            // key is null when another tab cleared localStorage
+            if (e.storageArea === localStorage && (e.key === null || ThemeManager.SYNCED_KEYS.includes(e.key))) {
+                this.syncFromStorage(e.key);
+            }
+        });
+    }
+
+    // Re-read what another tab changed and apply it without writing it back
+    syncFromStorage(key) {
+        if (key === null || key === 'theme-custom-palettes') {
+            this.palettes.list()
+                .filter(palette => !palette.builtIn)
+                .forEach(palette => this.palettes.unregister(palette.id));
+            this.loadCustomPalettes();
+            this.renderPaletteOptions();
+        }
+
+        this.accent = this.getStoredAccent();
+        this.schedule = this.getStoredSchedule();
+        this.preference = this.getStoredTheme() || 'auto';
+
+        this.applyTheme(this.preference === 'auto' ? this.getSystemTheme() : this.preference, { origin: 'sync' });
+        this.scheduleNextSwitch();
+        this.updateThemeIcon();
+    }
+
+    // ===== PREFERENCE & SCHEDULE =====
+    getPreference() {
+        return this.preference;
+    }
+
+    // 'auto' follows the schedule/system; anything else is a palette id
+    setPreference(preference) {
+        if (preference !== 'auto' && !this.palettes.has(preference)) return false;
+
+        this.preference = preference;
+        this.setStoredTheme(preference === 'auto' ? null : preference);
+        this.applyTheme(preference === 'auto' ? this.getSystemTheme() : preference);
+        this.scheduleNextSwitch();
+        this.updateThemeIcon();
+        return true;
+    }
+
+    setSchedule(config) {
+        this.schedule = config ? new ThemeSchedule(config) : null;
+        this.setStoredSchedule(this.schedule);
+
+        if (this.preference === 'auto') {
+            this.applyTheme(this.getSystemTheme());
+            this.updateThemeIcon();
+        } else {
+            this.updatePalettePicker();
+        }
+        this.scheduleNextSwitch();
+    }
+
+    refreshAutoTheme() {
+        if (this.preference !== 'auto') return;
+
+        const scheme = this.getSystemTheme();
+        if (scheme !== this.currentPalette) {
+            this.applyTheme(scheme, { origin: this.schedule ? 'schedule' : 'system' });
+            this.updateThemeIcon();
+        }
+        this.scheduleNextSwitch();
+    }
+
+    scheduleNextSwitch() {
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+
+        if (this.preference !== 'auto' || !this.schedule) return;
+
+        // setTimeout overflows past ~24.8 days; re-check daily at most
+        const delay = Math.min(this.schedule.getNextChange().getTime() - Date.now(), 86400000);
+        this.scheduleTimer = setTimeout(() => this.refreshAutoTheme(), Math.max(delay, 1000));
+    }
+
+    // ===== PALETTE PICKER =====
+    setupPalettePicker() {
+        if (!this.paletteButton || !this.palettePanel) return;
+
+        this.renderPaletteOptions();
+
+        this.paletteButton.addEventListener('click', () => {
+            this.togglePalettePanel();
+        });
+
+        this.palettePanel.addEventListener('change', (e) => {
+            if (e.target.name === 'palette') {
+                this.setPalette(e.target.value);
+            } else if (e.target.name === 'theme-mode') {
+                this.setPreference(e.target.value);
+            }
+        });
+
+        this.setupSchedulePicker();
+
+        const accentInput = this.palettePanel.querySelector('.accent-input');
+        if (accentInput) {
+            const applyAccent = this.debounceThemeChange((value) => this.setAccent(value), 100);
+            accentInput.addEventListener('input', () => applyAccent(accentInput.value));
+        }
+
+        const accentReset = this.palettePanel.querySelector('.accent-reset');
+        if (accentReset) {
+            accentReset.addEventListener('click', () => this.setAccent(null));
+        }
+
+        // Escape and outside clicks close the panel
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.palettePanel.hidden) {
+                this.togglePalettePanel(false);
+                this.paletteButton.focus();
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.palettePanel.hidden &&
+                !this.palettePanel.contains(e.target) &&
+                !this.paletteButton.contains(e.target)) {
+                this.togglePalettePanel(false);
+            }
+        });
+
+        this.updatePalettePicker();
+    }
+
+    renderPaletteOptions() {
+        const container = this.palettePanel && this.palettePanel.querySelector('.palette-options');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.palettes.list().forEach(palette => {
+            const resolved = this.palettes.resolve(palette.id);
+            const option = document.createElement('label');
+            option.className = 'palette-option';
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'palette';
+            input.value = palette.id;
+            input.className = 'sr-only';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'palette-swatch';
+            swatch.setAttribute('aria-hidden', 'true');
+            swatch.style.background = `linear-gradient(135deg, ${resolved.variables['--bg-primary']} 50%, ${resolved.components.progress || resolved.variables['--text-primary']} 50%)`;
+
+            const name = document.createElement('span');
+            name.className = 'palette-name';
+            name.textContent = palette.label;
+
+            option.append(input, swatch, name);
+            container.appendChild(option);
+        });
+    }
+
+    togglePalettePanel(force) {
+        if (!this.palettePanel || !this.paletteButton) return;
+
+        const open = typeof force === 'boolean' ? force : this.palettePanel.hidden;
+        this.palettePanel.hidden = !open;
+        this.paletteButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+
+        if (open) {
+            const checked = this.palettePanel.querySelector('input[name="palette"]:checked');
+            if (checked) checked.focus();
+        }
+    }
+
+    updatePalettePicker() {
+        if (!this.palettePanel) return;
+
+        const mode = this.preference === 'auto' ? 'auto' : this.currentTheme;
+        this.palettePanel.querySelectorAll('input[name="theme-mode"]').forEach(input => {
+            input.checked = input.value === mode;
+            input.closest('.theme-mode-option').classList.toggle('active', input.checked);
+        });
+
+        const scheduleGroup = this.palettePanel.querySelector('.theme-schedule');
+        if (scheduleGroup) {
+            scheduleGroup.hidden = this.preference !== 'auto';
+
+            const typeSelect = scheduleGroup.querySelector('.theme-schedule-select');
+            const type = this.schedule ? this.schedule.config.type : 'system';
+            if (typeSelect) {
+                typeSelect.value = type;
+            }
+
+            const hours = scheduleGroup.querySelector('.theme-schedule-hours');
+            if (hours) {
+                hours.hidden = type !== 'hours';
+                if (type === 'hours') {
+                    hours.querySelector('#theme-light-from').value = this.schedule.config.lightFrom;
+                    hours.querySelector('#theme-dark-from').value = this.schedule.config.darkFrom;
+                }
+            }
+
+            this.setScheduleStatus(this.describeSchedule());
+        }
+
+        this.palettePanel.querySelectorAll('input[name="palette"]').forEach(input => {
+            input.checked = input.value === this.currentPalette;
+            input.closest('.palette-option').classList.toggle('active', input.checked);
+        });
+
+        const accentInput = this.palettePanel.querySelector('.accent-input');
+        if (accentInput && this.resolvedPalette && document.activeElement !== accentInput) {
+            accentInput.value = this.accent || this.resolvedPalette.components.progress || '#3b82f6';
+        }
+
+        const accentReset = this.palettePanel.querySelector('.accent-reset');
+        if (accentReset) {
+            accentReset.disabled = !this.accent;
+        }
+    }
+
+    setupSchedulePicker() {
+        const typeSelect = this.palettePanel.querySelector('.theme-schedule-select');
+        const lightFrom = this.palettePanel.querySelector('#theme-light-from');
+        const darkFrom = this.palettePanel.querySelector('#theme-dark-from');
+        if (!typeSelect) return;
+
+        const applyHours = () => this.setSchedule({
+            type: 'hours',
+            lightFrom: lightFrom ? lightFrom.value : undefined,
+            darkFrom: darkFrom ? darkFrom.value : undefined
+        });
+
+        typeSelect.addEventListener('change', () => {
+            if (typeSelect.value === 'hours') {
+                applyHours();
+            } else if (typeSelect.value === 'sun') {
+                this.useSunSchedule();
+            } else {
+                this.setSchedule(null);
+            }
+        });
+
+        [lightFrom, darkFrom].forEach(input => {
+            if (input) {
+                input.addEventListener('change', applyHours);
+            }
+        });
+    }
+
+    useSunSchedule() {
+        if (!navigator.geolocation) {
+            this.setScheduleStatus('Location is not available in this browser.');
+            this.updatePalettePicker();
+            return;
+        }
+
+        this.setScheduleStatus('Finding your location…');
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                // Two decimals (~1 km) is plenty for sunrise/sunset and keeps less precise data
+                this.setSchedule({
+                    type: 'sun',
+                    latitude: Math.round(position.coords.latitude * 100) / 100,
+                    longitude: Math.round(position.coords.longitude * 100) / 100
+                });
+            },
+            () => {
+                this.setScheduleStatus('Location permission was denied, so the schedule was not changed.');
+                this.updatePalettePicker();
+            },
+            { maximumAge: 86400000, timeout: 10000 }
+        );
+    }
+
+    setScheduleStatus(message) {
+        const status = this.palettePanel && this.palettePanel.querySelector('.theme-schedule-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    describeSchedule() {
+        if (!this.schedule) return 'Following your system setting.';
+
+        const next = this.schedule.getNextChange();
+        const scheme = this.schedule.getScheme(new Date(next.getTime() + 1000));
+        const time = next.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `Switches to ${scheme} at ${time}.`;
+    }
+
+    // ===== PALETTE API =====
+    setPalette(id) {
+        return this.setPreference(id);
+    }
+
+    setAccent(color) {
+        this.accent = PaletteRegistry.normalizeHex(color);
+        this.setStoredAccent(this.accent);
+        this.applyTheme(this.currentPalette);
+    }
+
+    getPalettes() {
+        return this.palettes.list().map(({ id, label, scheme, builtIn }) => ({ id, label, scheme, builtIn }));
+    }
+
+    registerPalette(definition) {
+        const palette = this.palettes.register(definition);
+        this.saveCustomPalettes();
+        this.renderPaletteOptions();
+        this.updatePalettePicker();
+        return palette;
+    }
+
+    removePalette(id) {
+        if (!this.palettes.unregister(id)) return false;
+
+        this.saveCustomPalettes();
+        this.renderPaletteOptions();
+        if (this.currentPalette === id) {
+            this.setPreference(this.preference === 'auto' ? 'auto' : this.currentTheme);
+        } else {
+            this.updatePalettePicker();
+        }
+        return true;
     }
 
     // ===== CUSTOM EVENTS =====
-    dispatchThemeChangeEvent(theme) {
+    dispatchThemeChangeEvent(theme, previousTheme = this.currentTheme, origin = 'user') {
         const event = new CustomEvent('themechange', {
-            detail: { theme, previousTheme: this.currentTheme }
+            detail: {
+                theme,
+                previousTheme,
+                origin,
+                palette: this.currentPalette,
+                accent: this.resolvedPalette ? this.resolvedPalette.accent : null
+            }
         });
         document.dispatchEvent(event);
     }
@@ -359,18 +804,16 @@ class ThemeManager {
         return this.currentTheme === 'light';
     }
 
+    getCurrentPalette() {
+        return this.currentPalette;
+    }
+
     forceTheme(theme) {
-        if (theme === 'light' || theme === 'dark') {
-            this.applyTheme(theme);
-            this.updateThemeIcon();
-        }
+        this.setPalette(theme);
     }
 
     resetToSystem() {
-        localStorage.removeItem('theme');
-        const systemTheme = this.getSystemTheme();
-        this.applyTheme(systemTheme);
-        this.updateThemeIcon();
+        this.setPreference('auto');
     }
 
     // ===== THEME-AWARE COMPONENTS =====
@@ -429,22 +872,26 @@ class ThemeManager {
 
     updateProgressBars(theme) {
         const progressBars = document.querySelectorAll('.skill-progress');
+        const components = this.getComponentColors(theme);
         progressBars.forEach(bar => {
-            const isDark = theme === 'dark';
-            const color = isDark ? '#3b82f6' : '#2563eb';
-            bar.style.backgroundColor = color;
+            bar.style.backgroundColor = components.progress;
         });
     }
 
     updateSkillIcons(theme) {
         const skillIcons = document.querySelectorAll('.skill-icon i');
+        const components = this.getComponentColors(theme);
         skillIcons.forEach(icon => {
-            const isDark = theme === 'dark';
-            const color = isDark ? '#60a5fa' : '#3b82f6';
-            icon.style.color = color;
+            icon.style.color = components.icon;
         });
     }
 
+    // Palette-derived colors, already adjusted for contrast against --bg-primary
+    getComponentColors(theme) {
+        const resolved = this.resolvedPalette || this.palettes.resolve(theme, this.accent);
+        return resolved.components;
+    }
+
     // ===== TRANSITION MANAGEMENT =====
     addThemeTransition() {
         document.documentElement.classList.add('theme-transition');
@@ -488,19 +935,33 @@ class ThemeManager {
     exportThemeSettings() {
         return {
             theme: this.currentTheme,
+            preference: this.preference,
+            palette: this.currentPalette,
+            accent: this.accent,
+            schedule: this.schedule ? this.schedule.config : null,
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent
         };
     }
 
     importThemeSettings(settings) {
-        if (settings && settings.theme) {
-            this.applyTheme(settings.theme);
-            this.updateThemeIcon();
+        if (settings && (settings.preference || settings.palette || settings.theme)) {
+            if ('accent' in settings) {
+                this.accent = PaletteRegistry.normalizeHex(settings.accent);
+                this.setStoredAccent(this.accent);
+            }
+            if ('schedule' in settings) {
+                this.schedule = settings.schedule ? new ThemeSchedule(settings.schedule) : null;
+                this.setStoredSchedule(this.schedule);
+            }
+            this.setPreference(settings.preference || settings.palette || settings.theme);
         }
     }
 }
 
+// localStorage keys that other tabs listen to
+ThemeManager.SYNCED_KEYS = ['theme', 'theme-accent', 'theme-schedule', 'theme-custom-palettes'];
+
 // ===== GLOBAL THEME UTILITIES =====
 window.themeUtils = {
     // Get current theme
@@ -515,12 +976,22 @@ window.themeUtils = {
     // Force theme change
     setTheme: (theme) => window.themeManager?.forceTheme(theme),
     
+    // Palettes and accent color
+    getPalette: () => window.themeManager?.getCurrentPalette() || 'light',
+    setPalette: (id) => window.themeManager?.setPalette(id),
+    setAccent: (color) => window.themeManager?.setAccent(color),
+    
     // Toggle theme
     toggle: () => window.themeManager?.toggleTheme(),
     
     // Reset to system preference
     reset: () => window.themeManager?.resetToSystem(),
     
+    // Three-way preference ('light', 'dark', 'auto' or a palette id) and schedule
+    getPreference: () => window.themeManager?.getPreference() || 'auto',
+    setPreference: (preference) => window.themeManager?.setPreference(preference),
+    setSchedule: (config) => window.themeManager?.setSchedule(config),
+    
     // Export settings
     export: () => window.themeManager?.exportThemeSettings(),
     
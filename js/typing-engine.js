@@ -0,0 +1,426 @@
+/**
+ * PORTFOLIO WEBSITE - TYPING ENGINE
+ * =================================
+ *
+ * One typewriter implementation for every typing effect on the page: the
+ * hero '.typing-animation' (PortfolioApp) and any '[data-typing]' element
+ * (AnimationController). An engine types a list of phrases, holds each one,
+ * deletes it and moves on to the next.
+ *
+ * PHRASES:
+ * - Plain strings or objects { text, typeSpeed, deleteSpeed, pause } that
+ *   override the timings for that phrase
+ * - data-typing: a single phrase, or a JSON array of phrases
+ * - data-typing-source: URL of a JSON file, either an array of phrases or
+ *   { sets: { <name>: { phrases, ...options } } }; data-typing-set picks the
+ *   set (default: the first one). useSet(name) switches sets later
+ *
+ * OPTIONS (constructor or data- attributes):
+ * - typeSpeed / data-typing-speed          ms per typed character (100)
+ * - deleteSpeed / data-typing-delete-speed ms per deleted character (50)
+ * - pause / data-typing-pause              ms a finished phrase stays (2000)
+ * - gap                                    ms before the next phrase (500)
+ * - startDelay / data-typing-delay         ms before typing starts (0)
+ * - loop / data-typing-loop                cycle forever, or type every
+ *   phrase once and stop on the last one (default: loop when there is more
+ *   than one phrase)
+ * - cursor / data-typing-cursor            true, false or 'persist'; the
+ *   caret is removed when a non-looping engine finishes unless 'persist'
+ * - announce / data-typing-announce        'none' or 'phrase' (see below)
+ *
+ * BEHAVIOUR:
+ * - Timers stop while the tab is hidden and resume when it is visible again
+ * - With prefers-reduced-motion the element just shows its static text (its
+ *   original content, or the first phrase) without a caret
+ * - If the element already shows the first phrase, the engine starts by
+ *   holding it, so the static fallback never flashes away
+ *
+ * SCREEN READERS:
+ * The animated element is aria-hidden and a visually hidden copy carries the
+ * text instead, so assistive technology never hears single characters.
+ * With announce 'none' the copy holds the static text; with 'phrase' it is a
+ * polite live region updated once per completed phrase.
+ *
+ * TypingEngine.fromElement(element, defaults) reads the data- attributes and
+ * returns a started engine; TypingEngine.get(element) returns the engine
+ * attached to an element, so one element is never animated twice.
+ */
+
+class TypingEngine {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            phrases: [],
+            typeSpeed: 100,
+            deleteSpeed: 50,
+            pause: 2000,
+            gap: 500,
+            startDelay: 0,
+            loop: null,
+            cursor: true,
+            announce: 'none',
+            staticText: null,
+            ...options
+        };
+
+        this.phrases = [];
+        this.phraseIndex = 0;
+        this.charIndex = 0;
+        this.deleting = false;
+        this.running = false;
+        this.finished = false;
+        this.timer = null;
+        this.remaining = null;
+        this.dueAt = 0;
+        this.announcer = null;
+
+        this.handleVisibilityChange = () => {
+            if (document.hidden) {
+                this.suspend();
+            } else {
+                this.resume();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        TypingEngine.instances.set(this.element, this);
+
+        const initialText = this.element.textContent.trim();
+        this.setPhrases(this.options.phrases);
+        this.staticText = this.options.staticText || initialText || (this.phrases[0] ? this.phrases[0].text : '');
+
+        this.setupAccessibility();
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    // ===== PHRASES =====
+    setPhrases(phrases) {
+        this.phrases = (Array.isArray(phrases) ? phrases : [phrases])
+            .map(phrase => (typeof phrase === 'string' ? { text: phrase } : phrase))
+            .filter(phrase => phrase && typeof phrase.text === 'string' && phrase.text.length > 0);
+
+        this.phraseIndex = 0;
+        this.charIndex = 0;
+        this.deleting = false;
+        this.finished = false;
+
+        // Continue from the text already on screen instead of clearing it
+        const current = this.phrases[0];
+        if (current && this.element.textContent.trim() === current.text) {
+            this.charIndex = TypingEngine.chars(current.text).length;
+        }
+    }
+
+    useSet(name) {
+        const set = this.sets && this.sets[name];
+        if (!set) return false;
+
+        const { phrases, ...options } = set;
+        Object.assign(this.options, options);
+        this.setName = name;
+        this.setPhrases(phrases || []);
+
+        if (this.running) {
+            this.stop();
+            this.start();
+        }
+        return true;
+    }
+
+    get loops() {
+        return this.options.loop === null ? this.phrases.length > 1 : Boolean(this.options.loop);
+    }
+
+    // ===== ACCESSIBILITY =====
+    setupAccessibility() {
+        this.announcer = document.createElement('span');
+        this.announcer.className = 'sr-only typing-announcer';
+        this.announcer.textContent = this.staticText;
+
+        if (this.options.announce === 'phrase') {
+            this.announcer.setAttribute('aria-live', 'polite');
+            this.announcer.setAttribute('aria-atomic', 'true');
+        }
+
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.insertAdjacentElement('afterend', this.announcer);
+    }
+
+    announce(text) {
+        if (this.options.announce === 'phrase' && this.announcer.textContent !== text) {
+            this.announcer.textContent = text;
+        }
+    }
+
+    // ===== PLAYBACK =====
+    start() {
+        if (this.running || this.phrases.length === 0) return this;
+
+        if (TypingEngine.prefersReducedMotion()) {
+            this.showStatic();
+            return this;
+        }
+
+        this.running = true;
+        this.finished = false;
+        this.setCursor(this.options.cursor !== false);
+
+        const phrase = this.phrases[this.phraseIndex];
+        if (!this.deleting && this.charIndex === TypingEngine.chars(phrase.text).length) {
+            // Already showing the whole phrase: hold it first
+            this.render();
+            this.complete(phrase, this.options.startDelay);
+        } else {
+            this.schedule(this.options.startDelay);
+        }
+        return this;
+    }
+
+    stop() {
+        this.running = false;
+        this.clearTimer();
+        this.remaining = null;
+        this.element.classList.remove('is-typing');
+        return this;
+    }
+
+    showStatic() {
+        this.stop();
+        this.setCursor(false);
+        this.element.textContent = this.staticText;
+    }
+
+    suspend() {
+        if (!this.running || this.timer === null) return;
+
+        this.remaining = Math.max(0, this.dueAt - Date.now());
+        this.clearTimer();
+    }
+
+    resume() {
+        if (!this.running || this.timer !== null || this.remaining === null) return;
+
+        const delay = this.remaining;
+        this.remaining = null;
+        this.schedule(delay);
+    }
+
+    destroy() {
+        this.stop();
+        this.setCursor(false);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.element.textContent = this.staticText;
+        this.element.removeAttribute('aria-hidden');
+        if (this.announcer) {
+            this.announcer.remove();
+            this.announcer = null;
+        }
+        TypingEngine.instances.delete(this.element);
+    }
+
+    schedule(delay) {
+        this.clearTimer();
+
+        if (document.hidden) {
+            this.remaining = delay;
+            return;
+        }
+
+        this.dueAt = Date.now() + delay;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick();
+        }, delay);
+    }
+
+    clearTimer() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    tick() {
+        if (!this.running) return;
+
+        const phrase = this.phrases[this.phraseIndex];
+        const length = TypingEngine.chars(phrase.text).length;
+        this.element.classList.add('is-typing');
+
+        if (this.deleting) {
+            this.charIndex = Math.max(0, this.charIndex - 1);
+            this.render();
+
+            if (this.charIndex === 0) {
+                this.deleting = false;
+                this.phraseIndex = (this.phraseIndex + 1) % this.phrases.length;
+                this.element.classList.remove('is-typing');
+                this.schedule(this.options.gap);
+            } else {
+                this.schedule(this.speedFor(phrase, 'deleteSpeed'));
+            }
+            return;
+        }
+
+        this.charIndex = Math.min(length, this.charIndex + 1);
+        this.render();
+
+        if (this.charIndex === length) {
+            this.complete(phrase);
+        } else {
+            this.schedule(this.speedFor(phrase, 'typeSpeed'));
+        }
+    }
+
+    // A phrase has been typed out: stop on it or hold it before deleting
+    complete(phrase, extraDelay = 0) {
+        this.element.classList.remove('is-typing');
+        this.announce(phrase.text);
+
+        const isLast = this.phraseIndex === this.phrases.length - 1;
+        if (isLast && !this.loops) {
+            this.finish();
+            return;
+        }
+
+        this.deleting = true;
+        this.schedule(extraDelay + this.speedFor(phrase, 'pause'));
+    }
+
+    finish() {
+        this.stop();
+        this.finished = true;
+        if (this.options.cursor !== 'persist') {
+            this.setCursor(false);
+        }
+
+        this.element.dispatchEvent(new CustomEvent('typingcomplete', {
+            bubbles: true,
+            detail: { engine: this, text: this.element.textContent }
+        }));
+    }
+
+    render() {
+        const phrase = this.phrases[this.phraseIndex];
+        this.element.textContent = TypingEngine.chars(phrase.text).slice(0, this.charIndex).join('');
+    }
+
+    speedFor(phrase, key) {
+        const value = Number(phrase[key]);
+        return Number.isFinite(value) && value >= 0 ? value : this.options[key];
+    }
+
+    setCursor(visible) {
+        this.element.classList.toggle('typing-cursor', Boolean(visible));
+    }
+
+    // ===== FACTORIES =====
+    static fromElement(element, defaults = {}) {
+        const existing = TypingEngine.get(element);
+        if (existing) return existing;
+
+        const data = element.dataset;
+        const options = { ...defaults, ...TypingEngine.readOptions(data) };
+
+        if (data.typing) {
+            options.phrases = TypingEngine.parsePhrases(data.typing);
+        }
+
+        const engine = new TypingEngine(element, options);
+        if (!data.typingSource) {
+            return engine.start();
+        }
+
+        // Keep the fallback text on screen until the phrases arrive
+        fetch(data.typingSource)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(json => {
+                if (Array.isArray(json)) {
+                    engine.setPhrases(json);
+                } else {
+                    engine.sets = json.sets || {};
+                    const name = data.typingSet || Object.keys(engine.sets)[0];
+                    const { phrases, ...setOptions } = engine.sets[name] || {};
+
+                    // Attributes on the element win over the set's options
+                    Object.assign(engine.options, setOptions, TypingEngine.readOptions(data));
+                    engine.setName = name;
+                    engine.setPhrases(phrases || []);
+                }
+                engine.start();
+            })
+            .catch(error => {
+                console.warn(`Typing phrases could not be loaded from ${data.typingSource}:`, error);
+                engine.start();
+            });
+
+        return engine;
+    }
+
+    static readOptions(data) {
+        const options = {};
+        const number = (value) => {
+            const parsed = parseInt(value, 10);
+            return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+        };
+        const numbers = {
+            typeSpeed: data.typingSpeed,
+            deleteSpeed: data.typingDeleteSpeed,
+            pause: data.typingPause,
+            startDelay: data.typingDelay
+        };
+
+        Object.entries(numbers).forEach(([key, value]) => {
+            if (number(value) !== undefined) options[key] = number(value);
+        });
+
+        if (data.typingLoop !== undefined) {
+            options.loop = data.typingLoop !== 'false';
+        }
+        if (data.typingCursor !== undefined) {
+            options.cursor = data.typingCursor === 'persist' ? 'persist' : data.typingCursor !== 'false';
+        }
+        if (data.typingAnnounce) {
+            options.announce = data.typingAnnounce;
+        }
+
+        return options;
+    }
+
+    static parsePhrases(value) {
+        const text = String(value).trim();
+        if (text.startsWith('[')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                console.warn('Invalid data-typing phrase list:', error);
+            }
+        }
+        return [text];
+    }
+
+    static get(element) {
+        return TypingEngine.instances.get(element) || null;
+    }
+
+    static prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    // Code points rather than UTF-16 units, so emoji are typed whole
+    static chars(text) {
+        return Array.from(text);
+    }
+}
+
+TypingEngine.instances = new WeakMap();
+
+// Export for use in other modules
+window.TypingEngine = TypingEngine;
@@ -0,0 +1,68 @@
+/**
+ * PORTFOLIO WEBSITE - CONTRAST AUDIT (CLI)
+ * ========================================
+ *
+ * Runs the WCAG contrast audit from js/contrast-audit.js against the palette
+ * definitions in js/theme-palettes.js, without a browser.
+ *
+ * USAGE:
+ *   node scripts/audit-contrast.js [--accent #e11d48 ...] [--palette sepia] [--all]
+ *
+ * - --accent   also audit every palette with this accent color (repeatable)
+ * - --palette  only audit the given palette
+ * - --all      list passing pairs too, not just failures
+ *
+ * Exits with status 1 when any pair fails, so it can gate a build.
+ */
+
+const { loadBrowserScripts } = require('./load-browser-scripts');
+
+const { PaletteRegistry, ContrastAuditor } = loadBrowserScripts([
+    'js/theme-palettes.js',
+    'js/contrast-audit.js'
+]);
+
+function parseArgs(argv) {
+    const options = { accents: [null], palette: null, all: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--all') {
+            options.all = true;
+        } else if (argv[i] === '--accent') {
+            const accent = PaletteRegistry.normalizeHex(argv[++i]);
+            if (!accent) {
+                throw new Error(`Invalid accent color: ${argv[i]}`);
+            }
+            options.accents.push(accent);
+        } else if (argv[i] === '--palette') {
+            options.palette = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const auditor = new ContrastAuditor(new PaletteRegistry());
+
+        if (options.palette && !auditor.registry.has(options.palette)) {
+            throw new Error(`Unknown palette: ${options.palette}`);
+        }
+
+        const results = options.palette
+            ? options.accents.flatMap(accent => auditor.auditPalette(options.palette, accent))
+            : auditor.auditAll(options.accents);
+
+        const failures = auditor.report(results, { all: options.all });
+        process.exitCode = failures.length > 0 ? 1 : 0;
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { parseArgs };
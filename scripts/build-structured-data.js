@@ -0,0 +1,98 @@
+/**
+ * PORTFOLIO WEBSITE - STRUCTURED DATA (CLI)
+ * =========================================
+ *
+ * Generates the JSON-LD from the data/ files with js/structured-data.js, the
+ * same builder the page runs, so crawlers that do not execute JavaScript get
+ * the same structured data as those that do.
+ *
+ * USAGE:
+ *   node scripts/build-structured-data.js [--write] [--check]
+ *
+ * - (no flag)  print the JSON-LD
+ * - --write    replace the contents of <script id="structured-data"> in index.html
+ * - --check    exit with status 1 when index.html is out of date, so it can
+ *              gate a build or a commit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserScripts } = require('./load-browser-scripts');
+
+const { StructuredData } = loadBrowserScripts(['js/structured-data.js']);
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT_PATTERN = /(<script type="application\/ld\+json" id="structured-data">)([\s\S]*?)(<\/script>)/;
+
+const CONTENT_FILES = {
+    profile: 'data/profile.json',
+    projects: 'data/projects.json',
+    skills: 'data/skills.json',
+    education: 'data/education.json',
+    certifications: 'data/certifications.json'
+};
+
+function loadContent(root = ROOT) {
+    return Object.entries(CONTENT_FILES).reduce((content, [key, file]) => {
+        content[key] = JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+        return content;
+    }, {});
+}
+
+function buildStructuredData(content = loadContent()) {
+    return new StructuredData(content).toString();
+}
+
+// Indented to sit inside the <head> like the rest of index.html
+function injectStructuredData(html, json) {
+    if (!SCRIPT_PATTERN.test(html)) {
+        throw new Error('index.html has no <script type="application/ld+json" id="structured-data"> to fill');
+    }
+
+    const body = json.split('\n').map(line => `    ${line}`).join('\n');
+    return html.replace(SCRIPT_PATTERN, (match, open, current, close) => `${open}\n${body}\n    ${close}`);
+}
+
+function parseArgs(argv) {
+    const options = { write: false, check: false };
+
+    argv.forEach(arg => {
+        if (arg === '--write') {
+            options.write = true;
+        } else if (arg === '--check') {
+            options.check = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    });
+
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const json = buildStructuredData();
+        const indexPath = path.join(ROOT, 'index.html');
+
+        if (options.write || options.check) {
+            const html = fs.readFileSync(indexPath, 'utf8');
+            const updated = injectStructuredData(html, json);
+
+            if (options.check && updated !== html) {
+                console.error('index.html structured data is out of date; run: node scripts/build-structured-data.js --write');
+                process.exitCode = 1;
+            } else if (options.write) {
+                fs.writeFileSync(indexPath, updated);
+                console.log(updated === html ? 'index.html structured data is up to date' : 'Updated index.html structured data');
+            }
+        } else {
+            console.log(json);
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { loadContent, buildStructuredData, injectStructuredData };
@@ -0,0 +1,379 @@
+/**
+ * PORTFOLIO WEBSITE - PRODUCTION BUILD (CLI)
+ * ==========================================
+ *
+ * The site runs straight from the repository while developing. This build
+ * turns it into a static bundle for hosting:
+ *
+ * 1. PRE-RENDERING - index.html is loaded in jsdom with the page's own
+ *    scripts (reduced motion, no network) and the sections rendered from
+ *    data/ are copied into the HTML, so visitors and crawlers see the content
+ *    before any JavaScript runs. The scripts still render over it at load, so
+ *    e.g. the education progress stays current. The JSON-LD is refreshed with
+ *    scripts/build-structured-data.js.
+ * 2. TAILWIND - stylesheets with @tailwind/@apply (css/styles.css) are
+ *    compiled with only the classes used in index.html, js/ and data/
+ *    (project gradients live in the data), replacing the cdn.tailwindcss.com
+ *    runtime.
+ * 3. MINIFYING - every script in js/ is minified with terser. Top-level names
+ *    are kept because the scripts share the page's global scope. Development
+ *    tools (DEV_SCRIPTS, e.g. the contrast audit overlay) are dropped from the
+ *    page instead, so they are neither shipped nor precached.
+ * 4. FINGERPRINTING - CSS and JS get content-hashed names
+ *    (js/main.<hash>.js); index.html points at them and asset-manifest.json
+ *    maps each source path to its built file.
+ * 5. SERVICE WORKER - sw.js gets urlsToCache generated from the files in the
+ *    build (plus the external fonts and icons it listed) and a CACHE_NAME
+ *    suffixed with a hash of their contents, so every deploy that changes a
+ *    cached file replaces the old cache.
+ *
+ * data/, images/ and the root files are copied as they are: data files are
+ * fetched by path (data-source attributes, per-project detail files).
+ *
+ * USAGE:
+ *   npm ci
+ *   npm run build                  (node scripts/build.js [--out dist])
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const postcss = require('postcss');
+const tailwindcss = require('tailwindcss');
+const { minify } = require('terser');
+const { buildStructuredData, injectStructuredData } = require('./build-structured-data');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_URL = 'http://localhost/';
+
+// Containers filled from data/ at runtime, copied from the rendered page
+const PRERENDERED = [
+    '#skills-views',
+    '#soft-skills-grid',
+    '#education-list',
+    '#certification-filters',
+    '#certifications-grid',
+    '#tech-chips',
+    '#projects-grid',
+    '.filter-btn .filter-count',
+    '[data-stat]'
+];
+
+// Development tools: loaded while developing, left out of the build
+const DEV_SCRIPTS = ['js/contrast-audit.js'];
+
+const TAILWIND_CONTENT = ['js/**/*.js', 'data/**/*.json'];
+const TAILWIND_CDN_PATTERN = /\n[ \t]*<!-- Tailwind CSS CDN -->\n[ \t]*<script src="https:\/\/cdn\.tailwindcss\.com"><\/script>[ \t]*\n/;
+
+const STATIC_FILES = ['site.webmanifest', 'robots.txt', 'sitemap.xml'];
+const STATIC_DIRECTORIES = ['data', 'images'];
+
+// ===== FILE UTILITIES =====
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function write(outDir, file, contents) {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+}
+
+// Paths relative to `dir`, with forward slashes
+function listFiles(dir, base = dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(full, base) : [path.relative(base, full).split(path.sep).join('/')];
+    }).sort();
+}
+
+function hash(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 8);
+}
+
+// 'js/main.js' + '1a2b3c4d' -> 'js/main.1a2b3c4d.js'
+function fingerprint(file, contents) {
+    const ext = path.posix.extname(file);
+    return `${file.slice(0, -ext.length)}.${hash(contents)}${ext}`;
+}
+
+// ===== PRE-RENDERING =====
+// Serves the page's own scripts from the repository; nothing else is loaded
+class LocalScriptLoader extends ResourceLoader {
+    fetch(url, options) {
+        const { origin, pathname } = new URL(url);
+        if (origin !== new URL(PAGE_URL).origin || !options.element || options.element.localName !== 'script') {
+            return null;
+        }
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, decodeURIComponent(pathname))));
+    }
+}
+
+// The browser APIs the scripts use that jsdom does not provide
+function installBrowserShims(window) {
+    window.matchMedia = query => ({
+        matches: /prefers-reduced-motion:\s*reduce/.test(query),
+        media: query,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+
+    // data/ is read from disk
+    window.fetch = (input) => {
+        const file = path.join(ROOT, decodeURIComponent(new URL(String(input), PAGE_URL).pathname));
+        const found = fs.existsSync(file) && fs.statSync(file).isFile();
+        const text = found ? fs.readFileSync(file, 'utf8') : '';
+
+        return Promise.resolve({
+            ok: found,
+            status: found ? 200 : 404,
+            text: () => Promise.resolve(text),
+            json: () => Promise.resolve().then(() => JSON.parse(text))
+        });
+    };
+}
+
+function renderPage(html) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(html, {
+        url: PAGE_URL,
+        runScripts: 'dangerously',
+        resources: new LocalScriptLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse: installBrowserShims
+    });
+    const { window } = dom;
+
+    return new Promise(resolve => {
+        if (window.document.readyState === 'complete') {
+            resolve();
+        } else {
+            window.addEventListener('load', () => resolve());
+        }
+    })
+        .then(() => {
+            if (!window.portfolioApp) {
+                throw new Error('PortfolioApp did not start');
+            }
+            return Promise.all(window.portfolioApp.getContentReady());
+        })
+        .then(() => {
+            if (errors.length > 0) {
+                throw new Error(`Pre-rendering failed:\n  ${errors.join('\n  ')}`);
+            }
+            return dom;
+        })
+        .catch(error => {
+            window.close();
+            throw error;
+        });
+}
+
+// Copies the rendered sections into a script-free parse of the source page
+function prerender(html) {
+    return renderPage(html).then(rendered => {
+        const output = new JSDOM(html);
+        const source = rendered.window.document;
+        const target = output.window.document;
+
+        PRERENDERED.forEach(selector => {
+            const renderedElements = source.querySelectorAll(selector);
+            target.querySelectorAll(selector).forEach((element, index) => {
+                const renderedElement = renderedElements[index];
+                if (!renderedElement) return;
+
+                element.innerHTML = renderedElement.innerHTML;
+                element.hidden = renderedElement.hidden;
+                if (element.hasAttribute('aria-busy')) {
+                    element.setAttribute('aria-busy', 'false');
+                }
+            });
+        });
+
+        // Stop the typing loops and timers of the rendered page
+        rendered.window.close();
+        return output;
+    });
+}
+
+// ===== ASSETS =====
+function removeDevScripts(document) {
+    document.querySelectorAll('script[src]').forEach(script => {
+        if (!DEV_SCRIPTS.includes(script.getAttribute('src'))) return;
+
+        // Take the indentation with it so no blank line is left behind
+        const previous = script.previousSibling;
+        if (previous && previous.nodeType === previous.TEXT_NODE && !previous.textContent.trim()) {
+            previous.remove();
+        }
+        script.remove();
+    });
+}
+
+function localAssets(document) {
+    const isLocal = url => url && !/^([a-z]+:)?\/\//i.test(url);
+    const styles = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]')).map(link => link.getAttribute('href'));
+    const scripts = Array.from(document.querySelectorAll('script[src]')).map(script => script.getAttribute('src'));
+
+    return { styles: styles.filter(isLocal), scripts: scripts.filter(isLocal) };
+}
+
+function compileStyles(file, html) {
+    const css = read(file);
+    if (!/@tailwind|@apply/.test(css)) {
+        return Promise.resolve(css);
+    }
+
+    const config = {
+        content: [{ raw: html, extension: 'html' }, ...TAILWIND_CONTENT.map(pattern => path.join(ROOT, pattern))]
+    };
+
+    return postcss([tailwindcss(config)])
+        .process(css, { from: path.join(ROOT, file) })
+        .then(result => result.css);
+}
+
+function minifyScript(file) {
+    return minify(read(file), { compress: true, mangle: true, format: { comments: false } })
+        .then(result => result.code);
+}
+
+// Writes every asset under its fingerprinted name; resolves to the manifest
+function buildAssets(document, html, outDir) {
+    const { styles, scripts } = localAssets(document);
+    const manifest = {};
+
+    const builds = [
+        ...styles.map(file => () => compileStyles(file, html).then(contents => [file, contents])),
+        ...scripts.map(file => () => minifyScript(file).then(contents => [file, contents]))
+    ];
+
+    // One at a time: Tailwind and terser are both CPU heavy
+    return builds.reduce((chain, next) => chain.then(next).then(([file, contents]) => {
+        manifest[file] = fingerprint(file, contents);
+        write(outDir, manifest[file], contents);
+    }), Promise.resolve()).then(() => manifest);
+}
+
+function rewriteAssetUrls(document, manifest) {
+    document.querySelectorAll('link[rel="stylesheet"][href], script[src]').forEach(element => {
+        const attribute = element.localName === 'link' ? 'href' : 'src';
+        const built = manifest[element.getAttribute(attribute)];
+        if (built) {
+            element.setAttribute(attribute, built);
+        }
+    });
+}
+
+// ===== SERVICE WORKER =====
+const CACHE_NAME_PATTERN = /const CACHE_NAME = '([^']*)';/;
+const URLS_TO_CACHE_PATTERN = /const urlsToCache = \[([\s\S]*?)\];/;
+
+function buildServiceWorker(source, outDir, manifest) {
+    const sourceName = (source.match(CACHE_NAME_PATTERN) || [])[1];
+    const sourceUrls = (source.match(URLS_TO_CACHE_PATTERN) || [])[1];
+    if (!sourceName || sourceUrls === undefined) {
+        throw new Error('sw.js has no CACHE_NAME or urlsToCache to generate');
+    }
+
+    // Everything in the build except the worker itself and the manifest
+    const localFiles = listFiles(outDir).filter(file => file !== 'sw.js' && file !== 'asset-manifest.json');
+    const external = (sourceUrls.match(/'[^']*'/g) || [])
+        .map(url => url.slice(1, -1))
+        .filter(url => /^https?:\/\//.test(url) && !url.startsWith('https://cdn.tailwindcss.com'));
+
+    const urls = ['/', ...localFiles.map(file => `/${file}`), ...external];
+    const contents = localFiles.map(file => fs.readFileSync(path.join(outDir, file))).concat(external);
+    const cacheName = `${sourceName}-${hash(Buffer.concat(contents.map(item => Buffer.from(item))))}`;
+
+    const worker = source
+        .replace(/importScripts\('\/([^']+)'\)/g, (match, file) => `importScripts('/${manifest[file] || file}')`)
+        .replace(CACHE_NAME_PATTERN, `const CACHE_NAME = '${cacheName}';`)
+        .replace(URLS_TO_CACHE_PATTERN, `const urlsToCache = [\n${urls.map(url => `  '${url}'`).join(',\n')}\n];`);
+
+    write(outDir, 'sw.js', worker);
+    return { cacheName, urls };
+}
+
+// ===== BUILD =====
+function build(options = {}) {
+    const outDir = path.resolve(ROOT, options.outDir || 'dist');
+    // The output directory is emptied first, so never the site itself or a parent
+    if (outDir === ROOT || ROOT.startsWith(outDir + path.sep) || outDir === path.parse(outDir).root) {
+        return Promise.reject(new Error(`Refusing to build into ${outDir}`));
+    }
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+
+    const source = injectStructuredData(read('index.html'), buildStructuredData());
+
+    return prerender(source).then(output => {
+        const document = output.window.document;
+        removeDevScripts(document);
+        const html = output.serialize();
+
+        return buildAssets(document, html, outDir).then(manifest => {
+            rewriteAssetUrls(document, manifest);
+            write(outDir, 'index.html', output.serialize().replace(TAILWIND_CDN_PATTERN, '\n'));
+
+            STATIC_FILES.filter(file => fs.existsSync(path.join(ROOT, file)))
+                .forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(outDir, file)));
+            STATIC_DIRECTORIES.forEach(dir => {
+                listFiles(path.join(ROOT, dir)).forEach(file => {
+                    write(outDir, `${dir}/${file}`, fs.readFileSync(path.join(ROOT, dir, file)));
+                });
+            });
+
+            const worker = buildServiceWorker(read('sw.js'), outDir, manifest);
+            write(outDir, 'asset-manifest.json', `${JSON.stringify(manifest, null, 2)}\n`);
+
+            return { outDir, manifest, cacheName: worker.cacheName, urls: worker.urls };
+        });
+    });
+}
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out' && argv[i + 1]) {
+            options.outDir = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => build(parseArgs(process.argv.slice(2))))
+        .then(result => {
+            Object.entries(result.manifest).forEach(([file, built]) => console.log(`  ${file} -> ${built}`));
+            console.log(`Built ${path.relative(ROOT, result.outDir)}/ (${result.urls.length} cached URLs, cache ${result.cacheName})`);
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { build, prerender, buildServiceWorker, fingerprint, removeDevScripts };
@@ -0,0 +1,38 @@
+/**
+ * PORTFOLIO WEBSITE - BROWSER SCRIPT LOADER
+ * =========================================
+ *
+ * Runs browser scripts from js/ in a fresh vm context, so the CLIs and tests
+ * can use classes that need no DOM (PaletteRegistry, ContrastAuditor,
+ * StructuredData) without touching Node's global object.
+ *
+ * The scripts export with `self.X = X`; the context is its own `self`, so
+ * everything they export is a property of the returned context:
+ *
+ *   const { PaletteRegistry } = loadBrowserScripts(['js/theme-palettes.js']);
+ *
+ * Scripts run in order and share one global scope, as they do on the page.
+ * Besides the language built-ins, the context has console, URL and
+ * URLSearchParams, which Node provides the same way browsers do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// files: paths relative to the repository; globals: extra names to expose
+function loadBrowserScripts(files, globals = {}) {
+    const context = vm.createContext({ console, URL, URLSearchParams, ...globals });
+    context.self = context;
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: path.join(ROOT, file) });
+    });
+
+    return context;
+}
+
+module.exports = { loadBrowserScripts };
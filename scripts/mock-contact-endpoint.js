@@ -0,0 +1,118 @@
+/**
+ * PORTFOLIO WEBSITE - MOCK CONTACT ENDPOINT
+ * =========================================
+ *
+ * Minimal local endpoint for testing the contact form transports without
+ * a real backend. Uses only Node's built-in http module.
+ *
+ * USAGE:
+ *   node scripts/mock-contact-endpoint.js [port]
+ *
+ * Then set data-endpoint="http://localhost:8787/contact" on the contact form.
+ * test/contact-service.test.js drives ContactService against it through
+ * createServer().
+ *
+ * SIMULATING FAILURES (query string on data-endpoint):
+ * - ?status=500      respond with the given HTTP status
+ * - ?delay=15000     wait before responding (to exercise the timeout)
+ * - ?fail=2          fail the first N requests with 503, then succeed (retry)
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+function parseBody(request, body) {
+    const type = request.headers['content-type'] || '';
+    if (type.includes('application/json')) {
+        return JSON.parse(body || '{}');
+    }
+    if (type.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(body));
+    }
+    return { raw: body };
+}
+
+// Without a payload (204) no body or Content-Type is sent
+function send(response, status, payload) {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    };
+
+    if (payload === undefined) {
+        response.writeHead(status, headers);
+        response.end();
+        return;
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(payload));
+}
+
+// onMessage(message, request) is called for every accepted message
+function createServer({ onMessage = logMessage } = {}) {
+    const failureCounts = new Map();
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+            return;
+        }
+
+        if (request.method !== 'POST') {
+            send(response, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const delay = parseInt(url.searchParams.get('delay')) || 0;
+            const forcedStatus = parseInt(url.searchParams.get('status')) || 0;
+            const failTimes = parseInt(url.searchParams.get('fail')) || 0;
+
+            setTimeout(() => {
+                if (forcedStatus) {
+                    send(response, forcedStatus, { error: `Simulated ${forcedStatus}` });
+                    return;
+                }
+
+                const key = url.search;
+                const failures = failureCounts.get(key) || 0;
+                if (failures < failTimes) {
+                    failureCounts.set(key, failures + 1);
+                    send(response, 503, { error: 'Simulated transient failure' });
+                    return;
+                }
+
+                let message;
+                try {
+                    message = parseBody(request, body);
+                } catch (error) {
+                    send(response, 400, { error: 'Invalid body' });
+                    return;
+                }
+
+                onMessage(message, request);
+                send(response, 200, { ok: true });
+            }, delay);
+        });
+    });
+}
+
+function logMessage(message) {
+    console.log(`[${new Date().toISOString()}] Message received:`, message);
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || 8787;
+
+    createServer().listen(port, () => {
+        console.log(`Mock contact endpoint listening on http://localhost:${port}/contact`);
+    });
+}
+
+module.exports = { createServer };
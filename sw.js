@@ -1,12 +1,55 @@
-const CACHE_NAME = 'mihara-portfolio-v1.0.0';
+importScripts('/js/message-queue.js');
+
+// Used as-is when serving the repository; `npm run build` generates both for
+// dist/sw.js from the fingerprinted files (scripts/build.js)
+const CACHE_NAME = 'mihara-portfolio-v1.1.0';
 const urlsToCache = [
   '/',
   '/index.html',
   '/css/styles.css',
   '/css/animations.css',
+  '/css/contact-modern.css',
+  '/css/cv.css',
+  '/js/escape-html.js',
+  '/js/message-queue.js',
+  '/js/focus-trap.js',
+  '/js/contact-service.js',
+  '/js/project-filter.js',
+  '/js/project-modal.js',
+  '/js/section-spy.js',
+  '/js/skills-view.js',
+  '/js/education-timeline.js',
+  '/js/certification-gallery.js',
+  '/js/certificate-preview.js',
+  '/js/shortcuts.js',
+  '/js/command-palette.js',
+  '/js/site-search.js',
+  '/js/cv-builder.js',
+  '/js/structured-data.js',
+  '/js/typing-engine.js',
   '/js/main.js',
   '/js/animations.js',
+  '/js/theme-palettes.js',
+  '/js/theme-schedule.js',
   '/js/theme-toggle.js',
+  '/js/contrast-audit.js',
+  '/data/projects.json',
+  '/data/skills.json',
+  '/data/education.json',
+  '/data/certifications.json',
+  '/data/profile.json',
+  '/data/typing.json',
+  '/data/projects/alliance-health-network.json',
+  '/data/projects/auto-cars-taxi-reservation.json',
+  '/data/projects/bus-seat-reservation.json',
+  '/data/projects/dominos-big-data-research.json',
+  '/data/projects/e-video-cloud-app.json',
+  '/data/projects/grifindo-payroll.json',
+  '/data/projects/mamas-bakery-dashboard.json',
+  '/data/projects/photographer-web-portfolio.json',
+  '/data/projects/qiett-attic-films-database.json',
+  '/data/projects/queensbury-healthcare-big-data-research.json',
+  '/data/projects/sampath-food-city-sales-analysis.json',
   '/images/placeholder-profile.jpg',
   'https://cdn.tailwindcss.com',
   'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
@@ -64,15 +107,74 @@ self.addEventListener('sync', event => {
   }
 });
 
+// Fallback trigger from pages in browsers without Background Sync
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'replay-contact-queue') {
+    event.waitUntil(doBackgroundSync());
+  }
+});
+
+// The replay in progress, if any. Pages without Background Sync ask for a
+// replay on every load and every 'online' event, from every open tab;
+// overlapping replays would read the same entries and send each one twice.
+let pendingReplay = null;
+
 function doBackgroundSync() {
-  // Handle offline form submissions
-  return new Promise((resolve) => {
-    // Implementation for background sync
-    console.log('Background sync triggered');
-    resolve();
+  if (!pendingReplay) {
+    pendingReplay = replayQueue().finally(() => {
+      pendingReplay = null;
+    });
+  }
+  return pendingReplay;
+}
+
+function replayQueue() {
+  // Replay contact form messages queued by the page while offline
+  const queue = new MessageQueue();
+
+  return queue.getAll().then(entries => {
+    return Promise.all(entries.map(entry => replayMessage(queue, entry)));
+  }).then(results => {
+    // Reject so the browser schedules another sync for transient failures
+    if (results.includes('retry')) {
+      throw new Error('Some queued messages could not be delivered yet');
+    }
   });
 }
 
+function replayMessage(queue, entry) {
+  return fetch(entry.url, {
+    method: entry.method,
+    headers: entry.headers,
+    body: entry.body
+  })
+    .then(response => {
+      if (response.ok) {
+        return queue.remove(entry.id)
+          .then(() => notifyClients({ type: 'contact-message-delivered', subject: entry.subject }))
+          .then(() => 'delivered');
+      }
+
+      // Server errors and rate limiting are worth another try later
+      if (response.status >= 500 || response.status === 429) {
+        return 'retry';
+      }
+
+      // The message was rejected; replaying it again will not help
+      return queue.remove(entry.id)
+        .then(() => notifyClients({ type: 'contact-message-failed', subject: entry.subject }))
+        .then(() => 'failed');
+    })
+    .catch(() => 'retry');
+}
+
+function notifyClients(message) {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    .then(clientList => {
+      clientList.forEach(client => client.postMessage(message));
+    });
+}
+
 // Push notification handling
 self.addEventListener('push', event => {
   const options = {
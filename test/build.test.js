@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { buildServiceWorker, fingerprint, removeDevScripts } = require('../scripts/build');
+
+const WORKER = `importScripts('/js/message-queue.js');
+
+const CACHE_NAME = 'mihara-portfolio-v1.1.0';
+const urlsToCache = [
+  '/',
+  '/js/main.js',
+  '/js/contrast-audit.js',
+  'https://cdn.tailwindcss.com',
+  'https://fonts.googleapis.com/css2?family=Inter'
+];
+`;
+
+function createOutDir(t, files) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-build-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+    Object.entries(files).forEach(([file, contents]) => {
+        fs.mkdirSync(path.join(outDir, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(outDir, file), contents);
+    });
+    return outDir;
+}
+
+test('fingerprint puts a content hash before the extension', () => {
+    const built = fingerprint('js/main.js', 'console.log(1);');
+
+    assert.match(built, /^js\/main\.[0-9a-f]{8}\.js$/);
+    assert.strictEqual(fingerprint('js/main.js', 'console.log(1);'), built);
+    assert.notStrictEqual(fingerprint('js/main.js', 'console.log(2);'), built);
+    assert.match(fingerprint('css/styles.css', 'a{}'), /^css\/styles\.[0-9a-f]{8}\.css$/);
+});
+
+test('buildServiceWorker precaches the built files and the external URLs', (t) => {
+    const manifest = { 'js/message-queue.js': 'js/message-queue.1a2b3c4d.js', 'js/main.js': 'js/main.5e6f7a8b.js' };
+    const outDir = createOutDir(t, {
+        'index.html': '<!DOCTYPE html>',
+        'js/main.5e6f7a8b.js': 'main',
+        'js/message-queue.1a2b3c4d.js': 'queue',
+        'data/projects.json': '[]',
+        'asset-manifest.json': '{}'
+    });
+
+    const { cacheName, urls } = buildServiceWorker(WORKER, outDir, manifest);
+    const worker = fs.readFileSync(path.join(outDir, 'sw.js'), 'utf8');
+
+    assert.deepStrictEqual(urls, [
+        '/',
+        '/data/projects.json',
+        '/index.html',
+        '/js/main.5e6f7a8b.js',
+        '/js/message-queue.1a2b3c4d.js',
+        'https://fonts.googleapis.com/css2?family=Inter'
+    ]);
+    assert.match(cacheName, /^mihara-portfolio-v1\.1\.0-[0-9a-f]{8}$/);
+    assert.ok(worker.includes(`const CACHE_NAME = '${cacheName}';`));
+    assert.ok(worker.includes("importScripts('/js/message-queue.1a2b3c4d.js');"));
+    assert.ok(worker.includes("  '/js/main.5e6f7a8b.js',\n"));
+    assert.ok(!worker.includes('contrast-audit'));
+    assert.ok(!worker.includes('cdn.tailwindcss.com'));
+});
+
+test('buildServiceWorker changes the cache name when a file changes', (t) => {
+    const first = buildServiceWorker(WORKER, createOutDir(t, { 'js/main.js': 'one' }), {});
+    const second = buildServiceWorker(WORKER, createOutDir(t, { 'js/main.js': 'two' }), {});
+
+    assert.notStrictEqual(first.cacheName, second.cacheName);
+});
+
+test('buildServiceWorker needs CACHE_NAME and urlsToCache in the source', (t) => {
+    assert.throws(() => buildServiceWorker("self.addEventListener('fetch', () => {});", createOutDir(t, {}), {}),
+        /no CACHE_NAME or urlsToCache/);
+});
+
+test('removeDevScripts drops the contrast audit from the page', () => {
+    const { document } = new JSDOM(`<!DOCTYPE html><html><body>
+    <script src="js/theme-toggle.js"></script>
+    <script src="js/contrast-audit.js"></script>
+</body></html>`).window;
+
+    removeDevScripts(document);
+
+    const scripts = Array.from(document.querySelectorAll('script')).map(script => script.getAttribute('src'));
+    assert.deepStrictEqual(scripts, ['js/theme-toggle.js']);
+    assert.strictEqual(document.body.innerHTML, '\n    <script src="js/theme-toggle.js"></script>\n');
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, readFixture } = require('./helpers/browser');
+
+const HTML = `<!DOCTYPE html><html><body>
+    <div id="certification-filters"></div>
+    <select id="certification-sort">
+        <option value="newest">Newest first</option>
+        <option value="oldest">Oldest first</option>
+    </select>
+    <p id="certification-status"></p>
+    <div id="certifications-grid"></div>
+
+    <div id="certificate-preview" class="certificate-preview" hidden>
+        <div class="certificate-preview-backdrop" data-preview-close></div>
+        <div class="certificate-preview-dialog" role="dialog" aria-modal="true" tabindex="-1">
+            <h2 class="certificate-preview-title"></h2>
+            <p class="certificate-preview-meta"></p>
+            <button type="button" class="certificate-preview-close" data-preview-close>Close</button>
+            <div class="certificate-preview-body"></div>
+            <a class="certificate-preview-verify" hidden>Verify credential</a>
+            <a class="certificate-preview-open">Open in new tab</a>
+        </div>
+    </div>
+</body></html>`;
+
+const SCRIPTS = ['js/escape-html.js', 'js/focus-trap.js', 'js/certificate-preview.js', 'js/certification-gallery.js'];
+
+// Noon on 15 June 2026: 'expiring-cert' ends on 15 July, 'expired-cert' ended in January
+function createGallery(t, data = readFixture('test/fixtures/certifications.json')) {
+    const browser = createBrowser({ html: HTML, scripts: SCRIPTS });
+    t.after(() => browser.window.close());
+
+    const { window, document } = browser;
+    const events = [];
+    document.addEventListener('certificationsfilter', e => events.push({ ...e.detail }));
+
+    const preview = new window.CertificatePreview();
+    const gallery = new window.CertificationGallery({ data, preview, now: new window.Date(2026, 5, 15, 12) });
+    const card = id => document.getElementById(`certification-${id}`);
+    const visibleIds = () => [...gallery.getCards()].filter(element => !element.hidden).map(element => element.dataset.certification);
+
+    return { ...browser, gallery, preview, events, card, visibleIds };
+}
+
+test('works out the expiry status of each certification', (t) => {
+    const { gallery, card } = createGallery(t);
+    const expiry = id => ({ ...gallery.getExpiry(gallery.getCertification(id)) });
+
+    assert.deepStrictEqual(expiry('expired-cert'), { status: 'expired', days: -134, label: 'Expired Jan 2026' });
+    assert.deepStrictEqual(expiry('expiring-cert'), { status: 'expiring', days: 31, label: 'Expires in 31 days' });
+    assert.deepStrictEqual(expiry('valid-cert'), { status: 'valid', days: 639, label: 'Valid until Mar 14, 2028' });
+    assert.deepStrictEqual(expiry('lifetime-cert'), { status: 'none', days: null, label: 'No expiry' });
+
+    assert.strictEqual(card('expired-cert').dataset.status, 'expired');
+    assert.strictEqual(card('expired-cert').querySelector('.cert-badge-expired').textContent, 'Expired');
+    assert.strictEqual(card('expiring-cert').querySelector('.cert-badge-expiring').textContent, 'Expires in 31 days');
+    assert.strictEqual(card('valid-cert').querySelector('.cert-badge'), null);
+    assert.strictEqual(card('valid-cert').querySelector('.cert-expires').textContent, '· Valid until Mar 14, 2028');
+    assert.strictEqual(card('lifetime-cert').querySelector('.cert-badge, .cert-expires'), null);
+});
+
+test('respects a custom expiring-soon window', (t) => {
+    const { window } = createBrowser({ scripts: SCRIPTS });
+    t.after(() => window.close());
+
+    const gallery = new window.CertificationGallery({ now: new window.Date(2026, 5, 15, 12), expiringSoonDays: 30 });
+    assert.strictEqual(gallery.getExpiry({ expires: '2026-07-15' }).status, 'valid');
+    assert.strictEqual(gallery.getExpiry({ expires: '2026-07-14' }).status, 'expiring');
+    assert.strictEqual(gallery.getExpiry({ expires: '2026-06-15' }).label, 'Expires in 1 day');
+});
+
+test('filters by issuer when there is more than one', (t) => {
+    const { document, gallery, events, visibleIds } = createGallery(t);
+    const filters = document.getElementById('certification-filters');
+    const buttons = () => [...filters.querySelectorAll('.cert-filter-btn')];
+
+    assert.strictEqual(filters.hidden, false);
+    assert.deepStrictEqual(buttons().map(button => button.textContent.replace(/\s+/g, ' ').trim()), [
+        'All 4', 'Cisco Networking Academy 3', 'Amazon Web Services 1'
+    ]);
+
+    buttons()[2].click();
+
+    assert.deepStrictEqual(visibleIds(), ['expiring-cert']);
+    assert.deepStrictEqual(buttons().map(button => button.getAttribute('aria-pressed')), ['false', 'false', 'true']);
+    assert.strictEqual(document.getElementById('certification-status').textContent, 'Showing 1 of 4 certifications');
+    assert.deepStrictEqual(events.pop(), { issuer: 'aws', sort: 'newest', visible: 1 });
+
+    // A search match behind the filter clears it
+    gallery.reveal(document.querySelector('#certification-valid-cert .cert-title'));
+    assert.strictEqual(visibleIds().length, 4);
+    assert.strictEqual(document.getElementById('certification-status').textContent, 'Showing all 4 certifications');
+});
+
+test('hides the issuer filters with a single issuer', (t) => {
+    const { document } = createGallery(t, readFixture('data/certifications.json'));
+
+    assert.strictEqual(document.getElementById('certification-filters').hidden, true);
+});
+
+test('sorts newest or oldest first', (t) => {
+    const { document, gallery, visibleIds } = createGallery(t);
+
+    assert.deepStrictEqual(visibleIds(), ['valid-cert', 'lifetime-cert', 'expired-cert', 'expiring-cert']);
+
+    const select = document.getElementById('certification-sort');
+    select.value = 'oldest';
+    select.dispatchEvent(new document.defaultView.Event('change'));
+
+    assert.strictEqual(gallery.sort, 'oldest');
+    assert.deepStrictEqual(visibleIds(), ['expiring-cert', 'expired-cert', 'lifetime-cert', 'valid-cert']);
+});
+
+test('links the certificate and the verification page only when the data has them', (t) => {
+    const { card } = createGallery(t);
+
+    const expiring = card('expiring-cert');
+    assert.strictEqual(expiring.querySelector('.cert-verify-link').getAttribute('href'), 'https://example.com/verify/AWS-123');
+    assert.strictEqual(expiring.querySelector('.cert-view-link').getAttribute('aria-label'), 'View Cloud "Practitioner" certificate');
+    assert.strictEqual(expiring.querySelector('.cert-credential code').textContent, 'AWS-123');
+
+    assert.strictEqual(card('valid-cert').querySelector('.cert-verify-link'), null);
+    assert.ok(card('valid-cert').querySelector('.cert-view-link'));
+    assert.strictEqual(card('lifetime-cert').querySelector('.cert-links').children.length, 0);
+});
+
+test('opens the certificate in the preview and returns focus on close', (t) => {
+    const { window, document, preview, card } = createGallery(t);
+    const link = card('expiring-cert').querySelector('.cert-view-link');
+    link.focus();
+
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    link.dispatchEvent(click);
+
+    assert.strictEqual(click.defaultPrevented, true);
+    assert.strictEqual(preview.isOpen(), true);
+    assert.strictEqual(document.querySelector('.certificate-preview-title').textContent, 'Cloud "Practitioner"');
+    assert.strictEqual(document.querySelector('.certificate-preview-meta').textContent,
+        'Amazon Web Services · Issued Jul 15, 2023 · Credential ID AWS-123');
+    assert.strictEqual(document.querySelector('.certificate-preview-body img').getAttribute('src'), 'https://example.com/certificates/cloud.png');
+    assert.strictEqual(document.querySelector('.certificate-preview-verify').hidden, false);
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', cancelable: true }));
+    assert.strictEqual(preview.isOpen(), false);
+    assert.strictEqual(document.activeElement, link);
+});
+
+test('frames non-image certificates and leaves modified clicks alone', (t) => {
+    const { window, document, preview, card } = createGallery(t);
+    const link = card('valid-cert').querySelector('.cert-view-link');
+
+    const modified = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ctrlKey: true });
+    link.dispatchEvent(modified);
+    assert.strictEqual(modified.defaultPrevented, false);
+    assert.strictEqual(preview.isOpen(), false);
+
+    link.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+    assert.strictEqual(document.querySelector('.certificate-preview-body iframe').getAttribute('src'), 'https://example.com/certificates/python');
+    assert.strictEqual(document.querySelector('.certificate-preview-verify').hidden, true);
+});
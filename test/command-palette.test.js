@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+function createPalette(t) {
+    const { window } = createBrowser({ scripts: ['js/escape-html.js', 'js/command-palette.js'] });
+    t.after(() => window.close());
+
+    const { CommandPalette } = window;
+    const highlight = (query, text) => new CommandPalette().highlight(text, CommandPalette.fuzzyMatch(query, text).indices);
+    return { CommandPalette, highlight };
+}
+
+test('highlights substring matches', (t) => {
+    const { highlight } = createPalette(t);
+
+    assert.strictEqual(highlight('seat', 'Bus Seats'), 'Bus <mark>Seat</mark>s');
+});
+
+test('highlights word-start matches', (t) => {
+    const { highlight } = createPalette(t);
+
+    assert.strictEqual(highlight('bsr', 'Bus Seats Reservation'), '<mark>B</mark>us <mark>S</mark>eats <mark>R</mark>eservation');
+});
+
+test('keeps highlighting aligned after astral characters', (t) => {
+    const { highlight } = createPalette(t);
+
+    assert.strictEqual(highlight('launch', '🚀 Launch'), '🚀 <mark>Launch</mark>');
+    assert.strictEqual(highlight('🚀 l', '🚀 Launch'), '<mark>🚀 L</mark>aunch');
+    assert.strictEqual(highlight('bt', '𝔸 Bus 🚀 Tickets'), '𝔸 <mark>B</mark>us 🚀 <mark>T</mark>ickets');
+});
+
+test('escapes the text around the marks', (t) => {
+    const { highlight } = createPalette(t);
+
+    assert.strictEqual(highlight('ab', 'a <&> b'), '<mark>a</mark> &lt;&amp;&gt; <mark>b</mark>');
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('../scripts/mock-contact-endpoint');
+const { createBrowser } = require('./helpers/browser');
+
+const MESSAGE = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    subject: 'Hello "there"',
+    message: 'Testing the contact form.'
+};
+
+test('ContactService against the mock endpoint', async (t) => {
+    const received = [];
+    const server = createServer({ onMessage: message => received.push(message) });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}/contact`;
+
+    // Node's fetch stands in for the browser's
+    const { window, errors } = createBrowser({
+        scripts: ['js/contact-service.js'],
+        globals: { fetch, AbortController }
+    });
+    const service = (options) => new window.ContactService({ endpoint, retryDelay: 10, ...options });
+
+    t.after(() => {
+        window.close();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    await t.test('delivers a JSON message', async () => {
+        const result = await service().send(MESSAGE);
+
+        // Spread: the result comes from the window's realm
+        assert.deepStrictEqual({ ...result }, { delivered: true, method: 'http', status: 200 });
+        assert.deepStrictEqual(received.pop(), MESSAGE);
+    });
+
+    await t.test('delivers a form-encoded message', async () => {
+        const result = await service({ transport: 'form' }).send(MESSAGE);
+
+        assert.strictEqual(result.delivered, true);
+        assert.deepStrictEqual(received.pop(), MESSAGE);
+    });
+
+    await t.test('retries transient failures', async () => {
+        const result = await service({ endpoint: `${endpoint}?fail=2`, retries: 2 }).send(MESSAGE);
+
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(received.length, 1);
+        received.pop();
+    });
+
+    await t.test('gives up once the retries are used', async () => {
+        await assert.rejects(service({ endpoint: `${endpoint}?fail=5&attempt=limit`, retries: 1 }).send(MESSAGE), error => {
+            assert.strictEqual(error.name, 'ContactError');
+            assert.strictEqual(error.status, 503);
+            assert.strictEqual(error.retryable, true);
+            return true;
+        });
+        assert.strictEqual(received.length, 0);
+    });
+
+    await t.test('does not retry validation errors', async () => {
+        await assert.rejects(service({ endpoint: `${endpoint}?status=422` }).send(MESSAGE), error => {
+            assert.strictEqual(error.status, 422);
+            assert.strictEqual(error.retryable, false);
+            assert.match(error.userMessage, /invalid/);
+            return true;
+        });
+    });
+
+    await t.test('times out slow responses', async () => {
+        await assert.rejects(service({ endpoint: `${endpoint}?delay=500`, timeout: 50, retries: 0 }).send(MESSAGE), error => {
+            assert.strictEqual(error.message, 'Request timed out');
+            assert.strictEqual(error.retryable, true);
+            return true;
+        });
+    });
+
+    await t.test('falls back when the server keeps failing', async () => {
+        const contact = service({ endpoint: `${endpoint}?status=500`, retries: 0, fallback: 'backup' });
+        contact.registerTransport('backup', { send: data => Promise.resolve({ delivered: false, method: 'backup', data }) });
+
+        const result = await contact.send(MESSAGE);
+        assert.strictEqual(result.method, 'backup');
+        assert.deepStrictEqual(result.data, MESSAGE);
+    });
+
+    await t.test('hands unreachable servers to onNetworkError instead of the fallback', async () => {
+        // Nothing listens on port 9 (discard) here
+        const contact = service({ endpoint: 'http://127.0.0.1:9/contact', retries: 0, fallback: 'backup' });
+        contact.registerTransport('backup', { send: () => Promise.resolve({ delivered: false, method: 'backup' }) });
+
+        const result = await contact.send(MESSAGE, {
+            onNetworkError: error => ({ delivered: false, method: 'queued', network: error.network })
+        });
+        assert.deepStrictEqual({ ...result }, { delivered: false, method: 'queued', network: true });
+    });
+
+    await t.test('does not flag HTTP errors as network errors', async () => {
+        await assert.rejects(service({ endpoint: `${endpoint}?status=503`, retries: 0 }).send(MESSAGE, {
+            onNetworkError: () => assert.fail('503 reached the server')
+        }), error => error.status === 503 && error.network === false);
+    });
+
+    await t.test('answers preflight requests with an empty 204', async () => {
+        const response = await fetch(endpoint, { method: 'OPTIONS' });
+
+        assert.strictEqual(response.status, 204);
+        assert.strictEqual(response.headers.get('content-type'), null);
+        assert.strictEqual(await response.text(), '');
+    });
+
+    assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadBrowserScripts } = require('../scripts/load-browser-scripts');
+const { parseArgs } = require('../scripts/audit-contrast');
+
+const { PaletteRegistry, ContrastAuditor } = loadBrowserScripts([
+    'js/theme-palettes.js',
+    'js/contrast-audit.js'
+]);
+
+const ACCENTS = [null, '#e11d48', '#facc15', '#10b981', '#1e3a8a', '#ffffff', '#000000'];
+
+// Spread: results come from the vm context's realm
+const failuresOf = results => [...results].filter(result => !result.pass).map(result => `${result.palette}: ${result.foreground} on ${result.background} (${result.ratio})`);
+
+test('every built-in palette passes, with and without an accent', () => {
+    const auditor = new ContrastAuditor(new PaletteRegistry());
+
+    assert.deepStrictEqual(failuresOf(auditor.auditAll(ACCENTS)), []);
+});
+
+test('built-in component colors are adjusted without an accent', () => {
+    const registry = new PaletteRegistry();
+    registry.register({ id: 'dim', base: 'dark', components: { progress: '#1f2937', icon: '#1f2937' } });
+
+    const { variables, components } = registry.resolve('dim');
+    assert.ok(PaletteRegistry.contrastRatio(components.progress, variables['--bg-primary']) >= 3);
+    assert.ok(PaletteRegistry.contrastRatio(components.progress, variables['--bg-tertiary']) >= 3);
+    assert.ok(PaletteRegistry.contrastRatio(components.icon, variables['--bg-primary']) >= 3);
+});
+
+test('reports text that is too faint', () => {
+    const registry = new PaletteRegistry();
+    registry.register({ id: 'faint', base: 'light', variables: { '--text-tertiary': '#9ca3af' } });
+
+    const failures = new ContrastAuditor(registry).auditPalette('faint').filter(result => !result.pass);
+    assert.deepStrictEqual([...failures].map(result => result.background), ['--bg-primary', '--bg-secondary', '--bg-tertiary']);
+    assert.ok(failures.every(result => result.foreground === '--text-tertiary' && result.required === 4.5));
+});
+
+test('skips colors that are not plain hex', () => {
+    const auditor = new ContrastAuditor(new PaletteRegistry());
+    const results = auditor.auditColors('glass', { '--text-primary': 'rgba(0, 0, 0, 0.5)', '--bg-primary': '#ffffff' });
+
+    assert.strictEqual(results.length, 0);
+});
+
+test('the CLI rejects invalid accents and exits 0 on the shipped palettes', () => {
+    assert.throws(() => parseArgs(['--accent', 'blue']), /Invalid accent color/);
+    assert.deepStrictEqual(parseArgs(['--accent', '#E11D48', '--all']), { accents: [null, '#e11d48'], palette: null, all: true });
+
+    const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'audit-contrast.js')], { encoding: 'utf8' });
+    assert.match(output, /Contrast audit: (\d+)\/\1 pairs pass/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const DATA = {
+    education: [
+        {
+            id: 'hnd',
+            degree: 'HND in Computing',
+            institution: 'ESOFT Metro Campus',
+            start: '2023',
+            end: '2024',
+            description: 'Programming and databases.',
+            grade: 'Distinction',
+            modules: [{ name: 'Programming', grade: 'Merit' }, { name: 'Networking' }]
+        },
+        {
+            id: 'diploma',
+            degree: 'Diploma in IT',
+            institution: 'ESOFT Metro Campus',
+            start: '2022',
+            end: '2022',
+            description: 'Foundations.'
+        }
+    ]
+};
+
+function createTimeline(t) {
+    const { window, document } = createBrowser({
+        html: '<!DOCTYPE html><html><body><div class="education-timeline"><div id="education-list"></div></div></body></html>',
+        scripts: ['js/escape-html.js', 'js/education-timeline.js']
+    });
+    t.after(() => window.close());
+
+    new window.EducationTimeline({ data: DATA, now: new window.Date(2026, 5, 15) });
+    return { document, entry: id => document.getElementById(`education-${id}`) };
+}
+
+test('shows the grade of an entry and of its modules when given', (t) => {
+    const { entry } = createTimeline(t);
+    const hnd = entry('hnd');
+
+    assert.strictEqual(hnd.querySelector('.education-grade').textContent, 'Grade: Distinction');
+    const modules = [...hnd.querySelectorAll('.education-module')].map(module => ({
+        name: module.querySelector('.module-name').textContent,
+        grade: module.querySelector('.module-grade') ? module.querySelector('.module-grade').textContent : null
+    }));
+    assert.deepStrictEqual(modules, [{ name: 'Programming', grade: 'Merit' }, { name: 'Networking', grade: null }]);
+});
+
+test('leaves grades out when the entry has none', (t) => {
+    const { entry } = createTimeline(t);
+
+    assert.strictEqual(entry('diploma').querySelector('.education-grade, .module-grade'), null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+test('escapeHTML keeps values inside quoted attributes', (t) => {
+    const { window, document } = createBrowser({ scripts: ['js/escape-html.js'] });
+    t.after(() => window.close());
+
+    const value = `Node "core" & <tools> it's`;
+    assert.strictEqual(window.escapeHTML(value), 'Node &quot;core&quot; &amp; &lt;tools&gt; it&#39;s');
+
+    document.body.innerHTML = `<a href="#" aria-label="${window.escapeHTML(value)}" data-name='${window.escapeHTML(value)}'>x</a>`;
+    const link = document.querySelector('a');
+    assert.strictEqual(link.getAttribute('aria-label'), value);
+    assert.strictEqual(link.dataset.name, value);
+    assert.strictEqual(link.attributes.length, 3);
+});
+
+test('escapeHTML turns null and undefined into an empty string', (t) => {
+    const { window } = createBrowser({ scripts: ['js/escape-html.js'] });
+    t.after(() => window.close());
+
+    assert.strictEqual(window.escapeHTML(null), '');
+    assert.strictEqual(window.escapeHTML(undefined), '');
+    assert.strictEqual(window.escapeHTML(0), '0');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const HTML = `<!DOCTYPE html><html><body>
+    <button id="outside">Outside</button>
+    <div id="dialog" tabindex="-1">
+        <a href="#one" id="first">One</a>
+        <button disabled>Disabled</button>
+        <input type="hidden" name="token">
+        <button hidden>Hidden</button>
+        <input id="middle">
+        <button id="last">Last</button>
+    </div>
+    <div id="empty"><p>Nothing to focus</p></div>
+</body></html>`;
+
+// jsdom does no layout (offsetParent is always null), hence visibleOnly: false
+const OPTIONS = { visibleOnly: false };
+
+function setup(t) {
+    const browser = createBrowser({ html: HTML, scripts: ['js/focus-trap.js'] });
+    t.after(() => browser.window.close());
+
+    const { window, document } = browser;
+    const tab = (shiftKey = false) => {
+        const event = new window.KeyboardEvent('keydown', { key: 'Tab', shiftKey, cancelable: true });
+        window.FocusTrap.handleTab(event, document.getElementById('dialog'), OPTIONS);
+        return event;
+    };
+
+    return { ...browser, tab };
+}
+
+test('lists the enabled, unhidden focusable elements in order', (t) => {
+    const { window, document } = setup(t);
+
+    const ids = [...window.FocusTrap.getFocusableElements(document.getElementById('dialog'), OPTIONS)].map(element => element.id);
+    assert.deepStrictEqual(ids, ['first', 'middle', 'last']);
+});
+
+test('wraps Tab from the last element to the first', (t) => {
+    const { document, tab } = setup(t);
+    document.getElementById('last').focus();
+
+    assert.strictEqual(tab().defaultPrevented, true);
+    assert.strictEqual(document.activeElement.id, 'first');
+});
+
+test('wraps Shift+Tab from the first element to the last', (t) => {
+    const { document, tab } = setup(t);
+    document.getElementById('first').focus();
+
+    assert.strictEqual(tab(true).defaultPrevented, true);
+    assert.strictEqual(document.activeElement.id, 'last');
+});
+
+test('leaves Tab between inner elements to the browser', (t) => {
+    const { document, tab } = setup(t);
+    document.getElementById('middle').focus();
+
+    assert.strictEqual(tab().defaultPrevented, false);
+    assert.strictEqual(tab(true).defaultPrevented, false);
+});
+
+test('pulls focus from the container or outside it back in', (t) => {
+    const { document, tab } = setup(t);
+
+    document.getElementById('dialog').focus();
+    tab(true);
+    assert.strictEqual(document.activeElement.id, 'last');
+
+    document.getElementById('outside').focus();
+    tab();
+    assert.strictEqual(document.activeElement.id, 'first');
+});
+
+test('swallows Tab when nothing can take focus', (t) => {
+    const { window, document } = setup(t);
+    const event = new window.KeyboardEvent('keydown', { key: 'Tab', cancelable: true });
+
+    window.FocusTrap.handleTab(event, document.getElementById('empty'), OPTIONS);
+    assert.strictEqual(event.defaultPrevented, true);
+});
@@ -0,0 +1,53 @@
+/**
+ * Test helper: a jsdom window with the site's browser scripts loaded.
+ *
+ * Scripts are inserted as real <script> elements, so top-level classes share
+ * the window's global scope just as they do on the page. Errors thrown by a
+ * script or reported by jsdom are collected in `errors`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function readFixture(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+// scripts: paths relative to the repository, e.g. ['js/contact-service.js']
+function createBrowser({ html = '<!DOCTYPE html><html><body></body></html>', scripts = [], globals = {} } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.matchMedia = query => ({
+                matches: false,
+                media: query,
+                addEventListener() {},
+                removeEventListener() {},
+                addListener() {},
+                removeListener() {}
+            });
+            Object.assign(window, globals);
+        }
+    });
+    const { window } = dom;
+
+    scripts.forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        window.document.head.appendChild(script);
+    });
+
+    return { dom, window, document: window.document, errors };
+}
+
+module.exports = { ROOT, createBrowser, readFixture };
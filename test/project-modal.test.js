@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const HTML = `<!DOCTYPE html><html><body>
+    <div id="project-modal" class="project-modal" hidden>
+        <div class="project-modal-dialog" role="dialog" aria-modal="true" tabindex="-1">
+            <h2 class="project-modal-title"></h2>
+            <div class="project-modal-body"></div>
+            <span class="project-modal-position"></span>
+        </div>
+    </div>
+</body></html>`;
+
+const PROJECTS = [
+    { id: 'with-screens', title: 'Dashboard', description: 'A dashboard.', technologies: [], links: [] },
+    { id: 'no-screens', title: 'Research', description: 'A report.', technologies: [], links: [] }
+];
+
+const DETAILS = {
+    'with-screens': {
+        role: 'Developer',
+        gallery: [
+            { src: 'images/projects/dashboard/one.jpg', alt: 'Sales overview', caption: 'Overview' },
+            { src: 'images/projects/dashboard/two.jpg', alt: 'Stock levels', caption: 'Stock "live"' }
+        ]
+    },
+    'no-screens': { role: 'Analyst', gallery: [] }
+};
+
+function openProject(t, projectId) {
+    const fetch = url => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(DETAILS[url.replace(/^data\/projects\/|\.json$/g, '')])
+    });
+    const { window, document } = createBrowser({
+        html: HTML,
+        scripts: ['js/escape-html.js', 'js/focus-trap.js', 'js/project-modal.js'],
+        globals: { fetch }
+    });
+    t.after(() => window.close());
+
+    const modal = new window.ProjectModal({ projects: PROJECTS });
+    modal.open(projectId);
+    return modal.fetchDetails(projectId).then(() => ({ window, document, modal }));
+}
+
+test('shows the screenshots gallery when the project has one', async (t) => {
+    const { document } = await openProject(t, 'with-screens');
+    const main = document.querySelector('.project-gallery-main');
+    const thumbs = () => [...document.querySelectorAll('.project-gallery-thumb')];
+
+    assert.strictEqual(main.getAttribute('src'), 'images/projects/dashboard/one.jpg');
+    assert.strictEqual(main.alt, 'Sales overview');
+    assert.strictEqual(document.querySelector('.project-gallery-caption').textContent, 'Overview');
+    assert.deepStrictEqual(thumbs().map(thumb => thumb.getAttribute('aria-pressed')), ['true', 'false']);
+
+    thumbs()[1].click();
+
+    assert.strictEqual(main.getAttribute('src'), 'images/projects/dashboard/two.jpg');
+    assert.strictEqual(main.alt, 'Stock levels');
+    assert.strictEqual(document.querySelector('.project-gallery-caption').textContent, 'Stock "live"');
+    assert.deepStrictEqual(thumbs().map(thumb => thumb.getAttribute('aria-pressed')), ['false', 'true']);
+});
+
+test('leaves the gallery out when there are no screenshots', async (t) => {
+    const { document } = await openProject(t, 'no-screens');
+
+    assert.strictEqual(document.querySelector('.project-modal-facts dd').textContent, 'Analyst');
+    assert.strictEqual(document.querySelector('.project-gallery'), null);
+});
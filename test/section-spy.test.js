@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const HTML = `<!DOCTYPE html><html><body>
+    <nav>
+        <a href="#home" class="nav-link active" aria-current="location">Home</a>
+        <a href="#about" class="nav-link">About</a>
+        <a href="#home" class="mobile-nav-link active" aria-current="location">Home</a>
+        <a href="#about" class="mobile-nav-link">About</a>
+    </nav>
+    <section id="home"><h1>Home</h1></section>
+    <section id="about"><h2>About</h2><p id="about-detail">Detail</p></section>
+</body></html>`;
+
+function createSpy() {
+    const browser = createBrowser({ html: HTML, scripts: ['js/section-spy.js'] });
+    const spy = new browser.window.SectionSpy({ updateHash: false });
+    return { ...browser, spy };
+}
+
+test('the first activation clears the Home link shipped as active', (t) => {
+    const { window, document, spy } = createSpy();
+    t.after(() => window.close());
+
+    spy.setActive('about');
+
+    const active = Array.from(document.querySelectorAll('.active, [aria-current]')).map(link => link.textContent);
+    assert.deepStrictEqual(active, ['About', 'About']);
+});
+
+test('getSectionForHash resolves sections and elements inside them', (t) => {
+    const { window, spy } = createSpy();
+    t.after(() => window.close());
+
+    assert.strictEqual(spy.getSectionForHash('#about').id, 'about');
+    assert.strictEqual(spy.getSectionForHash('#about-detail').id, 'about');
+    assert.strictEqual(spy.getSectionForHash('#about?tab=1').id, 'about');
+    assert.strictEqual(spy.getSectionForHash('#missing'), null);
+});
+
+test('getSectionForHash ignores malformed escapes', (t) => {
+    const { window, spy } = createSpy();
+    t.after(() => window.close());
+
+    assert.strictEqual(spy.getSectionForHash('#%E0'), null);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts } = require('../scripts/load-browser-scripts');
+
+// sw.js with an in-memory queue, a counting fetch and no real clients
+function loadWorker(entries) {
+    const queued = new Map(entries.map(entry => [entry.id, entry]));
+    const sent = [];
+    const messages = [];
+
+    class MessageQueue {
+        getAll() {
+            return Promise.resolve([...queued.values()]);
+        }
+
+        remove(id) {
+            queued.delete(id);
+            return Promise.resolve();
+        }
+    }
+
+    const worker = loadBrowserScripts(['sw.js'], {
+        importScripts() {},
+        addEventListener() {},
+        MessageQueue,
+        fetch: url => {
+            sent.push(url);
+            // Answer later, so a second replay can start while this one is in flight
+            return new Promise(resolve => setTimeout(() => resolve({ ok: true, status: 200 }), 10));
+        },
+        clients: { matchAll: () => Promise.resolve([{ postMessage: message => messages.push(message.type) }]) }
+    });
+
+    return { worker, queued, sent, messages };
+}
+
+const ENTRIES = [
+    { id: 1, url: 'https://example.com/contact', method: 'POST', headers: {}, body: '{}', subject: 'One' },
+    { id: 2, url: 'https://example.com/contact', method: 'POST', headers: {}, body: '{}', subject: 'Two' }
+];
+
+test('overlapping replay requests send each queued message once', async () => {
+    const { worker, queued, sent, messages } = loadWorker(ENTRIES);
+
+    const first = worker.doBackgroundSync();
+    const second = worker.doBackgroundSync();
+    assert.strictEqual(first, second);
+
+    await Promise.all([first, second]);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(queued.size, 0);
+    assert.deepStrictEqual(messages, ['contact-message-delivered', 'contact-message-delivered']);
+});
+
+test('a replay requested after the last one finished runs again', async () => {
+    const { worker, sent } = loadWorker(ENTRIES);
+
+    await worker.doBackgroundSync();
+    await worker.doBackgroundSync();
+    assert.strictEqual(sent.length, 2);
+});
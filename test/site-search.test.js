@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, readFixture } = require('./helpers/browser');
+
+// Project cards carry the classes SiteSearch reads; skills are rendered by SkillsView
+function projectCards(projects) {
+    return projects.map(project => `
+        <article class="project-card" data-project-id="${project.id}">
+            <h3 class="project-title">${project.title}</h3>
+            <p class="project-description">${project.description}</p>
+            ${project.technologies.map(tech => `<span class="tech-tag">${tech.name}</span>`).join('')}
+        </article>`).join('');
+}
+
+function createSearch(t) {
+    const { projects } = readFixture('data/projects.json');
+    const { window, document } = createBrowser({
+        html: `<!DOCTYPE html><html><body><main>
+            <section id="projects"><div id="projects-grid">${projectCards(projects)}</div></section>
+            <section id="skills"><div id="skills-views"></div></section>
+        </main></body></html>`,
+        scripts: ['js/escape-html.js', 'js/skills-view.js', 'js/site-search.js']
+    });
+    t.after(() => window.close());
+
+    new window.SkillsView({ data: readFixture('data/skills.json') });
+    const search = new window.SiteSearch();
+    search.build();
+
+    const find = query => [...search.search(query)].map(result => `${result.doc.label}: ${result.doc.title}`).sort();
+    return { projects, find };
+}
+
+test('finds every project and skill that mentions a technology', (t) => {
+    const { projects, find } = createSearch(t);
+    const usingMssql = projects
+        .filter(project => project.technologies.some(tech => tech.id === 'mssql'))
+        .map(project => `Project: ${project.title}`);
+
+    assert.strictEqual(usingMssql.length, 2);
+    assert.deepStrictEqual(find('MSSQL'), [...usingMssql, 'Skill: SQL'].sort());
+});
+
+test('finds skills by name', (t) => {
+    const { find } = createSearch(t);
+
+    assert.ok(find('sql').includes('Skill: SQL'));
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+const DATA = {
+    levels: { intermediate: { label: 'Intermediate', value: 70 }, beginner: { label: 'Beginner', value: 40 } },
+    categories: { programming: 'Programming Languages' },
+    skills: [
+        { id: 'c#', name: 'C#', category: 'programming', level: 'intermediate', years: 2 },
+        { id: 'java', name: 'Java', category: 'programming', level: 'beginner', years: 1 },
+        { id: 'python', name: 'Python', category: 'programming', level: 'beginner' }
+    ],
+    softSkills: []
+};
+
+test('shows the years of experience next to the level when given', (t) => {
+    const { window, document } = createBrowser({
+        html: '<!DOCTYPE html><html><body><div id="skills-views"></div></body></html>',
+        scripts: ['js/escape-html.js', 'js/skills-view.js']
+    });
+    t.after(() => window.close());
+
+    new window.SkillsView({ data: DATA });
+
+    const labels = [...document.querySelectorAll('.skill-item')].map(item =>
+        `${item.querySelector('.skill-name').textContent}: ${item.querySelector('.skill-percentage').textContent}`);
+    assert.deepStrictEqual(labels, ['C#: Intermediate · 2 yrs', 'Java: Beginner · 1 yr', 'Python: Beginner']);
+});